@@ -9,11 +9,19 @@ class CollisionDetection {
         this.cornerThreshold = 2;  // Auto-climb if 2 pixels or less
         this.edgeGrabDistance = 4;  // Generous edge grabbing
         
+        // Continuous collision - fast movers are moved in steps no bigger than this
+        this.maxStepDistance = 8;
+        
+        // Standing on surfaces
+        this.surfaceSnapDistance = 6;  // Keep riders stuck to tilting surfaces
+        this.dropThroughFrames = 12;  // Minimum time a dropped-through one-way platform is ignored
+        
         // Platform types that need special handling
         this.platformTypes = {
             // Standard platforms
             solid: { passThrough: false },
             oneway: { passThrough: true, oneWay: true },
+            moving_platform: { passThrough: false },  // Tiled markers/polylines (path set per platform)
             
             // Moving platforms (defined by naming convention)
             platform_r_slow: { speed: 1, dirX: 1, dirY: 0 },
@@ -38,10 +46,11 @@ class CollisionDetection {
             // Special platforms
             platform_cw_circle: { circular: true, clockwise: true, speed: 1 },
             platform_ccw_circle: { circular: true, clockwise: false, speed: 1 },
-            four_platform_cw_circle: { circularGroup: true, clockwise: true, count: 4 },
-            four_platform_ccw_circle: { circularGroup: true, clockwise: false, count: 4 },
+            four_platform_cw_circle: { circularGroup: true, clockwise: true, count: 4, speed: 1 },
+            four_platform_ccw_circle: { circularGroup: true, clockwise: false, count: 4, speed: 1 },
             
             platform_falling_timed: { falling: true, fallDelay: 30, resetDelay: 180 },
+            falling_platform: { falling: true, fallDelay: 30, resetDelay: 180 },  // Tiled crumbling tile
             platform_spin_clockwise: { spinning: true, spinSpeed: 0.02 },
             platform_spin_counterclockwise: { spinning: true, spinSpeed: -0.02 },
             
@@ -59,18 +68,34 @@ class CollisionDetection {
             super_bouncy_platform_big: { bouncy: true, bouncePower: 2.0, width: 128 }
         };
         
-        // Collision layers
+        // Collision layers - what each entity layer collides with
         this.layers = {
             player: 'all',  // Collides with everything
+            enemy: 'all',  // Walkers and other ground enemies
             enemy_flying: ['ground', 'player'],  // Ignores platforms
             enemy_ghost: ['ground', 'player'],  // Only ground and player
             powerup_floating: ['player'],  // Only player collision
             powerup_grounded: ['all']  // Normal collision
         };
         
+        // What each entity layer counts as when something checks against it
+        this.layerCategories = {
+            player: 'player',
+            enemy: 'enemy',
+            enemy_flying: 'enemy',
+            enemy_ghost: 'enemy',
+            powerup_floating: 'pickup',
+            powerup_grounded: 'pickup'
+        };
+        
+        // One bit per category (platforms are 'ground' or 'platform' - see LevelLoader.assignPlatformLayers)
+        this.layerBits = { ground: 1, platform: 2, player: 4, enemy: 8, pickup: 16 };
+        this.allLayers = 31;
+        this.layerMasks = this.buildLayerMasks();
+        
         // Spatial partitioning for performance
         this.gridSize = 128;  // Divide world into 128x128 pixel chunks
-        this.spatialGrid = new Map();
+        this.spatialGrid = this.createGrid();
     }
     
     /**
@@ -99,14 +124,178 @@ class CollisionDetection {
         return null;
     }
     
+    /**
+     * Turn the layers table into bitmasks
+     */
+    buildLayerMasks() {
+        const masks = {};
+        
+        Object.keys(this.layers).forEach(layer => {
+            const targets = this.layers[layer];
+            if (targets === 'all' || targets.includes('all')) {
+                masks[layer] = this.allLayers;
+                return;
+            }
+            masks[layer] = targets.reduce((mask, target) => mask | (this.layerBits[target] || 0), 0);
+        });
+        
+        return masks;
+    }
+    
+    /**
+     * What an object collides with (objects without a layer collide with everything)
+     */
+    getLayerMask(obj) {
+        const mask = this.layerMasks[obj.layer];
+        return mask !== undefined ? mask : this.allLayers;
+    }
+    
+    /**
+     * What an object counts as (objects without a layer count as everything)
+     */
+    getLayerBit(obj) {
+        const category = this.layerCategories[obj.layer] || obj.layer;
+        return this.layerBits[category] || this.allLayers;
+    }
+    
+    /**
+     * Check if two objects' layers let them collide (both have to agree)
+     */
+    canCollide(a, b) {
+        return (this.getLayerMask(a) & this.getLayerBit(b)) !== 0 &&
+               (this.getLayerMask(b) & this.getLayerBit(a)) !== 0;
+    }
+    
+    /**
+     * How many sub-steps an entity needs this tick so no step is longer than maxStepDistance
+     */
+    getSubsteps(entity) {
+        const distance = Math.max(Math.abs(entity.speedX), Math.abs(entity.speedY));
+        return Math.max(1, Math.ceil(distance / this.maxStepDistance));
+    }
+    
+    /**
+     * Move an entity by its speed in small steps, resolving platform hits after each one
+     * Stops fast movers (bounce pads, long falls) from skipping through thin platforms
+     * @param {Object} entity - Player or enemy
+     * @param {Array} platforms - Platforms to collide with
+     * @param {Function} onCollision - Resolves a hit (defaults to handlePlatformCollision)
+     */
+    moveAndCollide(entity, platforms, onCollision = null) {
+        const resolve = onCollision || ((platform, collision) => this.handlePlatformCollision(entity, platform, collision));
+        const steps = this.getSubsteps(entity);
+        
+        for (let step = 0; step < steps; step++) {
+            // Speed can change part way (landing zeroes speedY, bounce pads flip it)
+            entity.x += entity.speedX / steps;
+            entity.y += entity.speedY / steps;
+            
+            platforms.forEach(platform => {
+                const collision = this.checkPlatformCollision(entity, platform);
+                if (collision) {
+                    resolve(platform, collision);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Check if a projectile has hit something solid (one-way, fallen and spinning platforms let it through)
+     */
+    hitsSolidPlatform(rect, platforms) {
+        return platforms.some(platform => {
+            const platType = this.platformTypes[platform.type] || this.platformTypes.solid;
+            if (platType.oneWay || platform.disabled || platform.rotation !== undefined) return false;
+            return this.checkRectCollision(rect, platform) !== null;
+        });
+    }
+    
+    /**
+     * Check an entity against a platform
+     * Rotating platforms use oriented collision, everything else is AABB
+     */
+    checkPlatformCollision(entity, platform) {
+        if (platform.rotation !== undefined) {
+            return this.checkOrientedCollision(entity, platform);
+        }
+        return this.checkRectCollision(entity, platform);
+    }
+    
+    /**
+     * Check an entity's feet against the top surface of a rotated platform
+     * The platform is a plank spinning around its center, so it looks the same every 180°
+     * @returns {Object|null} Surface info (angle in degrees, surfaceY under the entity) or null
+     */
+    checkOrientedCollision(entity, platform) {
+        // Tilt of the top surface, -90° to 90°
+        let tilt = platform.rotation % Math.PI;
+        if (tilt >= Math.PI / 2) tilt -= Math.PI;
+        if (tilt < -Math.PI / 2) tilt += Math.PI;
+        
+        const cos = Math.cos(tilt);
+        const sin = Math.sin(tilt);
+        
+        // Feet relative to the platform center
+        const dx = entity.x + entity.width / 2 - (platform.x + platform.width / 2);
+        const dy = entity.y + entity.height - (platform.y + platform.height / 2);
+        
+        // Rotate into platform space: u runs along the surface, v points down through it
+        const u = dx * cos + dy * sin;
+        const v = -dx * sin + dy * cos;
+        const top = -platform.height / 2;
+        
+        if (Math.abs(u) > platform.width / 2) return null;
+        
+        // Allow a little gap above the surface so riders don't bounce as it tilts away
+        const snapDistance = this.surfaceSnapDistance + Math.abs(entity.speedX * Math.tan(tilt));
+        if (v < top - snapDistance || v > platform.height / 2) return null;
+        
+        return {
+            hit: true,
+            oriented: true,
+            angle: tilt * 180 / Math.PI,
+            surfaceY: platform.y + platform.height / 2 + dx * Math.tan(tilt) + top / cos
+        };
+    }
+    
+    /**
+     * Stand an entity on a rotated platform, or let it slide off if it's too steep
+     */
+    handleOrientedCollision(entity, platform, collision) {
+        // Jumping up through it
+        if (entity.speedY < 0) return false;
+        
+        // Past the walkable limit - no footing, gravity takes over
+        if (Math.abs(collision.angle) > window.physics.maxWalkableAngle) return false;
+        
+        entity.y = collision.surfaceY - entity.height;
+        entity.setGrounded(true);
+        entity.standingOn = platform;
+        
+        // Slide along the tilt
+        window.physics.applySlopePhysics(entity, collision.angle);
+        
+        return true;
+    }
+    
     /**
      * Handle player-platform collision with all special types
      */
     handlePlatformCollision(player, platform, collision) {
         const platType = this.platformTypes[platform.type] || this.platformTypes.solid;
         
-        // One-way platform - only collide from above
-        if (platType.oneWay && player.speedY <= 0) {
+        // Fallen platforms don't collide until they respawn
+        if (platform.disabled) {
+            return false;
+        }
+        
+        // Rotating platforms have their own surface handling
+        if (collision.oriented) {
+            return this.handleOrientedCollision(player, platform, collision);
+        }
+        
+        // One-way platform - only collide from above, and not while dropping through it
+        if (platType.oneWay && (player.speedY <= 0 || this.isDroppingThrough(player, platform))) {
             return false;
         }
         
@@ -117,6 +306,11 @@ class CollisionDetection {
             // Cap the bounce to prevent going too high
             if (player.speedY < -35) player.speedY = -35;
             
+            // Bounce pads give the double jump back
+            if (player.refreshAirJumps) {
+                player.refreshAirJumps();
+            }
+            
             console.log('BOUNCE! Power:', platType.bouncePower, 'New speedY:', player.speedY);
             this.triggerCallback('bounce', { power: platType.bouncePower });
             return true;
@@ -124,6 +318,19 @@ class CollisionDetection {
         
         // Standard collision resolution
         if (collision.overlapX < collision.overlapY) {
+            // Corner correction - clipped a ledge by a couple of pixels, so climb onto it
+            const feetBelowTop = player.y + player.height - platform.y;
+            if (feetBelowTop > 0 && feetBelowTop <= this.cornerThreshold && player.speedY >= 0) {
+                // ...unless we can't balance there
+                if (this.slipOffEdge(player, platform, collision)) {
+                    return true;
+                }
+                player.y = platform.y - player.height;
+                player.setGrounded(true);
+                player.standingOn = platform;
+                return true;
+            }
+            
             // Horizontal collision
             if (collision.fromLeft) {
                 player.x = platform.x - player.width;
@@ -132,18 +339,24 @@ class CollisionDetection {
             }
             player.speedX = 0;
             
-            // Wall slide removed - player just drops normally now
-            // Previously had: window.physics.applyWallSlide(player, true);
+            // Wall contact - lets the player wall slide and wall jump
+            if (player.setWallContact && !player.isGrounded) {
+                player.setWallContact(collision.fromLeft ? 1 : -1);
+                window.physics.applyWallSlide(player, true);
+            }
         } else {
             // Vertical collision
             if (collision.fromTop) {
+                // Only the center has to be on the platform - once it's past the edge, slip off
+                if (this.slipOffEdge(player, platform, collision)) {
+                    return true;
+                }
+                
                 player.y = platform.y - player.height;
                 player.setGrounded(true);
                 
-                // Moving platform - inherit momentum
-                if (platType.dirX !== undefined) {
-                    player.x += platType.dirX * platType.speed;
-                }
+                // Remember the platform so moving platforms can carry us
+                player.standingOn = platform;
                 
                 // Trigger landing effects
                 if (Math.abs(player.speedY) > 10) {
@@ -152,6 +365,12 @@ class CollisionDetection {
                     this.triggerCallback('softLanding', {});
                 }
             } else {
+                // Corner correction - head barely clipped a corner, slide around it and keep rising
+                if (collision.overlapX <= this.cornerThreshold) {
+                    player.x += collision.fromLeft ? -collision.overlapX : collision.overlapX;
+                    return true;
+                }
+                
                 player.y = platform.y + platform.height;
                 player.speedY = 0;
             }
@@ -160,82 +379,294 @@ class CollisionDetection {
         return true;
     }
     
+    /**
+     * Slide an entity that balances on its center off a platform once its center is past the edge
+     * Feet stay on the surface until they're clear, so it doesn't sink in or hit the side as a wall
+     * Straddling a gap with ground under both sides counts as standing
+     * @returns {boolean} True if the entity is slipping off
+     */
+    slipOffEdge(entity, platform, collision) {
+        const center = entity.x + entity.width / 2;
+        if (!entity.balancesOnCenter ||
+            (center >= platform.x && center <= platform.x + platform.width) ||
+            this.hasGroundAt(center, platform.y, platform)) {
+            return false;
+        }
+        
+        // Other foot (the side away from this platform) is on something too
+        const otherFootX = center < platform.x ? entity.x : entity.x + entity.width;
+        if (this.hasGroundAt(otherFootX, platform.y, platform)) {
+            return false;
+        }
+        
+        const slip = Math.min(collision.overlapX, window.physics.edgeSlipSpeed);
+        entity.x += center < platform.x ? -slip : slip;
+        entity.y = platform.y - entity.height;
+        entity.speedY = 0;
+        entity.isGrounded = false;
+        return true;
+    }
+    
+    /**
+     * Check if there's something to stand on at a point on foot level
+     * @param {number} x - Point to check
+     * @param {number} feetY - Foot level
+     * @param {Object} except - Platform to leave out (the one we're already on)
+     */
+    hasGroundAt(x, feetY, except = null) {
+        const probe = { x: x, y: feetY, width: 0, height: 0 };
+        const platforms = this.queryGrid(this.spatialGrid, probe, this.surfaceSnapDistance);
+        
+        const onPlatform = platforms.some(platform =>
+            platform !== except && !platform.disabled && platform.rotation === undefined &&
+            x >= platform.x && x <= platform.x + platform.width &&
+            Math.abs(platform.y - feetY) <= this.surfaceSnapDistance);
+        if (onPlatform) return true;
+        
+        // Ladder tops hold you up too
+        if (window.zoneManager && window.zoneManager.getLadderTopAt(x, feetY)) return true;
+        
+        // Slopes carry on where platforms end
+        const slopes = window.gameEngine?.currentLevel?.slopes || [];
+        return slopes.some(slope =>
+            x >= slope.x && x <= slope.x + slope.width &&
+            feetY >= slope.y - this.surfaceSnapDistance && feetY <= slope.y + slope.height);
+    }
+    
+    /**
+     * Check if a platform can be jumped up through and dropped down through
+     */
+    isOneWay(platform) {
+        const platType = this.platformTypes[platform.type];
+        return !!(platType && platType.oneWay);
+    }
+    
+    /**
+     * Fall through the one-way platform an entity is standing on
+     * That platform is ignored for dropThroughFrames, and after that until the entity is clear of it
+     */
+    startDropThrough(entity, platform) {
+        entity.dropThrough = { platform: platform, timer: this.dropThroughFrames };
+        entity.isGrounded = false;
+        entity.standingOn = null;
+    }
+    
+    /**
+     * Count down an entity's drop-through, ending it once it's out of the platform
+     * Call once per tick before the entity moves
+     */
+    updateDropThrough(entity) {
+        const drop = entity.dropThrough;
+        if (!drop) return;
+        
+        if (drop.timer > 0) {
+            drop.timer--;
+        } else if (!this.checkRectCollision(entity, drop.platform)) {
+            entity.dropThrough = null;
+        }
+    }
+    
+    /**
+     * Check if an entity is dropping through this platform
+     */
+    isDroppingThrough(entity, platform) {
+        return !!entity.dropThrough && entity.dropThrough.platform === platform;
+    }
+    
     /**
      * Check for edge grab opportunities
+     * The player's hands (ledgeHangOffset below the top of their head) have to pass the
+     * platform's top this tick while they're right up against its side
+     * @returns {Object|false} side is 1 if the ledge is to the player's right, -1 if to the left
      */
     checkEdgeGrab(player, platform) {
-        // Player must be falling and near platform top
+        // Player must be falling past the platform top
         if (player.speedY <= 0) return false;
         
-        const playerBottom = player.y + player.height;
+        // Only solid ledges that stay put under your hands
+        if (platform.disabled || platform.rotation !== undefined || this.isOneWay(platform)) return false;
+        
+        const handsY = player.y + (player.ledgeHangOffset || 0);
         const platformTop = platform.y;
         
-        // Check if player is at edge grab height
-        if (Math.abs(playerBottom - platformTop) > this.edgeGrabDistance) return false;
+        // Check if the hands just crossed the top
+        if (handsY < platformTop || handsY - player.speedY > platformTop + this.edgeGrabDistance) return false;
         
         // Check horizontal alignment for edge
-        const playerCenter = player.x + player.width / 2;
         const platformLeft = platform.x;
         const platformRight = platform.x + platform.width;
         
-        // Left edge grab
+        // Left edge grab (ledge is to the player's right)
         if (Math.abs(player.x + player.width - platformLeft) < this.edgeGrabDistance) {
-            return { edge: 'left', x: platformLeft - player.width };
+            return { edge: 'left', side: 1, x: platformLeft - player.width };
         }
         
-        // Right edge grab
+        // Right edge grab (ledge is to the player's left)
         if (Math.abs(player.x - platformRight) < this.edgeGrabDistance) {
-            return { edge: 'right', x: platformRight };
+            return { edge: 'right', side: -1, x: platformRight };
         }
         
         return false;
     }
     
     /**
-     * Update spatial grid for performance
+     * Make an empty spatial grid
+     * cells maps "x,y" to the objects in that cell, ranges remembers which cells each object is in
      */
-    updateSpatialGrid(objects) {
-        this.spatialGrid.clear();
+    createGrid() {
+        return { cells: new Map(), ranges: new Map() };
+    }
+    
+    /**
+     * Build a grid from a list of objects
+     */
+    buildGrid(objects) {
+        const grid = this.createGrid();
+        objects.forEach(obj => this.insertIntoGrid(grid, obj));
+        return grid;
+    }
+    
+    /**
+     * Cells an object covers
+     * Rotating platforms use the square they can sweep so turning never moves them between cells
+     */
+    getCellRange(obj) {
+        let x = obj.x;
+        let y = obj.y;
+        let width = obj.width;
+        let height = obj.height;
         
-        objects.forEach(obj => {
-            const startX = Math.floor(obj.x / this.gridSize);
-            const endX = Math.floor((obj.x + obj.width) / this.gridSize);
-            const startY = Math.floor(obj.y / this.gridSize);
-            const endY = Math.floor((obj.y + obj.height) / this.gridSize);
-            
-            for (let x = startX; x <= endX; x++) {
-                for (let y = startY; y <= endY; y++) {
-                    const key = `${x},${y}`;
-                    if (!this.spatialGrid.has(key)) {
-                        this.spatialGrid.set(key, []);
-                    }
-                    this.spatialGrid.get(key).push(obj);
+        if (obj.rotation !== undefined) {
+            const size = Math.hypot(obj.width, obj.height);
+            x = obj.x + obj.width / 2 - size / 2;
+            y = obj.y + obj.height / 2 - size / 2;
+            width = size;
+            height = size;
+        }
+        
+        return {
+            startX: Math.floor(x / this.gridSize),
+            endX: Math.floor((x + width) / this.gridSize),
+            startY: Math.floor(y / this.gridSize),
+            endY: Math.floor((y + height) / this.gridSize)
+        };
+    }
+    
+    /**
+     * Add an object to a grid
+     */
+    insertIntoGrid(grid, obj) {
+        const range = this.getCellRange(obj);
+        
+        for (let x = range.startX; x <= range.endX; x++) {
+            for (let y = range.startY; y <= range.endY; y++) {
+                const key = `${x},${y}`;
+                if (!grid.cells.has(key)) {
+                    grid.cells.set(key, []);
                 }
+                grid.cells.get(key).push(obj);
             }
-        });
+        }
+        
+        grid.ranges.set(obj, range);
     }
     
     /**
-     * Get nearby objects for collision checking
+     * Take an object out of a grid
      */
-    getNearbyObjects(obj) {
+    removeFromGrid(grid, obj) {
+        const range = grid.ranges.get(obj);
+        if (!range) return;
+        
+        for (let x = range.startX; x <= range.endX; x++) {
+            for (let y = range.startY; y <= range.endY; y++) {
+                const key = `${x},${y}`;
+                const cell = grid.cells.get(key);
+                if (!cell) continue;
+                
+                const index = cell.indexOf(obj);
+                if (index !== -1) cell.splice(index, 1);
+                if (cell.length === 0) grid.cells.delete(key);
+            }
+        }
+        
+        grid.ranges.delete(obj);
+    }
+    
+    /**
+     * Re-file an object after it moves (only touches the grid when it changes cells)
+     */
+    moveInGrid(grid, obj) {
+        const old = grid.ranges.get(obj);
+        const range = this.getCellRange(obj);
+        
+        if (old && old.startX === range.startX && old.endX === range.endX &&
+            old.startY === range.startY && old.endY === range.endY) {
+            return;
+        }
+        
+        this.removeFromGrid(grid, obj);
+        this.insertIntoGrid(grid, obj);
+    }
+    
+    /**
+     * Get every object in the cells a rectangle touches
+     * @param {Object} grid - Grid to search
+     * @param {Object} rect - Area to look in
+     * @param {number} padding - Extra distance around the rectangle
+     */
+    queryGrid(grid, rect, padding = 0) {
         const nearby = new Set();
-        const startX = Math.floor((obj.x - this.gridSize) / this.gridSize);
-        const endX = Math.floor((obj.x + obj.width + this.gridSize) / this.gridSize);
-        const startY = Math.floor((obj.y - this.gridSize) / this.gridSize);
-        const endY = Math.floor((obj.y + obj.height + this.gridSize) / this.gridSize);
+        const startX = Math.floor((rect.x - padding) / this.gridSize);
+        const endX = Math.floor((rect.x + rect.width + padding) / this.gridSize);
+        const startY = Math.floor((rect.y - padding) / this.gridSize);
+        const endY = Math.floor((rect.y + rect.height + padding) / this.gridSize);
         
         for (let x = startX; x <= endX; x++) {
             for (let y = startY; y <= endY; y++) {
-                const key = `${x},${y}`;
-                const objects = this.spatialGrid.get(key) || [];
-                objects.forEach(o => nearby.add(o));
+                const objects = grid.cells.get(`${x},${y}`);
+                if (objects) objects.forEach(o => nearby.add(o));
             }
         }
         
         return Array.from(nearby);
     }
     
+    /**
+     * Build the level's platform grid (once per level - moving platforms update it as they go)
+     */
+    updateSpatialGrid(objects) {
+        this.spatialGrid = this.buildGrid(objects);
+    }
+    
+    /**
+     * Get nearby objects for collision checking
+     */
+    getNearbyObjects(obj) {
+        return this.queryGrid(this.spatialGrid, obj, this.gridSize);
+    }
+    
+    /**
+     * Get the platforms an entity could touch this tick
+     * Covers everywhere its speed can take it, either way, since bounce pads can flip it part way
+     * Platforms on layers the entity ignores are left out
+     * @param {Object} rect - Entity or probe rectangle
+     * @param {number} padding - Extra distance to look (defaults to one sub-step)
+     */
+    getNearbyPlatforms(rect, padding = this.maxStepDistance) {
+        const reachX = Math.abs(rect.speedX || 0) + padding;
+        const reachY = Math.abs(rect.speedY || 0) + padding;
+        
+        const nearby = this.queryGrid(this.spatialGrid, {
+            x: rect.x - reachX,
+            y: rect.y - reachY,
+            width: rect.width + reachX * 2,
+            height: rect.height + reachY * 2
+        });
+        
+        return nearby.filter(platform => this.canCollide(rect, platform));
+    }
+    
     /**
      * Handle slope collision
      */
@@ -246,19 +677,47 @@ class CollisionDetection {
         
         if (slopeProgress < 0 || slopeProgress > 1) return null;
         
-        // Calculate Y position on slope
-        const slopeY = slope.y + (slope.height * slopeProgress * Math.tan(slope.angle * Math.PI / 180));
+        // Calculate Y position on slope ('up' rises to the right, 'down' falls to the right)
+        const rise = slope.direction === 'up' ? 1 - slopeProgress : slopeProgress;
+        const slopeY = slope.y + slope.height * rise;
         const playerBottom = player.y + player.height;
         
-        if (Math.abs(playerBottom - slopeY) < 5) {
-            return {
-                onSlope: true,
-                angle: slope.angle,
-                slopeY: slopeY
-            };
+        // Stick to the surface when walking downhill, and catch anything that sank into it this frame
+        // (deeper than that means it came in from the side or below - let it pass)
+        const steepness = slope.height / slope.width;
+        const reach = this.surfaceSnapDistance + Math.abs(player.speedX) * steepness;
+        if (playerBottom < slopeY - reach) return null;
+        if (playerBottom > slopeY + reach + Math.max(0, player.speedY)) return null;
+        
+        const angle = Math.atan(steepness) * 180 / Math.PI;
+        return {
+            onSlope: true,
+            angle: slope.direction === 'up' ? -angle : angle,  // Positive runs downhill to the right
+            slopeY: slopeY
+        };
+    }
+    
+    /**
+     * Stand an entity on a slope, or slide it down if the slope is too steep
+     */
+    handleSlopeCollision(entity, slope, collision) {
+        // Jumping up through it
+        if (entity.speedY < 0) return false;
+        
+        entity.y = collision.slopeY - entity.height;
+        
+        // Too steep - no footing, just slide
+        if (Math.abs(collision.angle) > window.physics.maxWalkableAngle) {
+            entity.speedY = 0;
+            window.physics.applySteepSlide(entity, collision.angle);
+            return true;
         }
         
-        return null;
+        entity.setGrounded(true);
+        entity.standingOn = slope;
+        window.physics.applySlopePhysics(entity, collision.angle, slope.icy);
+        
+        return true;
     }
     
     /**
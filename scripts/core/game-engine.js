@@ -25,6 +25,7 @@ class GameEngine {
         // Core systems
         this.levelLoader = new LevelLoader();
         this.collectiblesManager = new CollectiblesManager();
+        this.rankSystem = new RankSystem();
         this.camera = {
             x: 0,
             y: 0,
@@ -34,6 +35,10 @@ class GameEngine {
             bounds: { minX: 0, minY: 0, maxX: 0, maxY: 0 }
         };
         
+        // Render interpolation (see applyInterpolation)
+        this.interpolatedObjects = [];
+        this.maxInterpolationDistance = 64;  // Bigger jumps in one tick are teleports
+        
         // Player stats - UPDATED WITH RELICS
         this.playerStats = {
             lives: 3,
@@ -45,8 +50,11 @@ class GameEngine {
             popeBlood: 0,
             holyWater: 100,
             maxHolyWater: 100,
-            relicsCollected: []  // NEW: Array of collected relic IDs
+            relicsCollected: [],  // NEW: Array of collected relic IDs
+            rank: 'friar',  // Clerical rank - persists across levels
+            levelsCompleted: []  // Levels that already awarded a promotion
         };
+        this.lastPromotion = null;  // Rank gained on the most recent victory
         
         // Level state
         this.currentLevel = null;
@@ -141,6 +149,12 @@ class GameEngine {
             maxY: Math.max(0, this.currentLevel.pixelHeight - this.canvas.height)
         };
         
+        // Back to a plain standing pose first - crouching keeps the feet where they are
+        player.endFlight();
+        player.releaseLedge();
+        player.setCrouching(false);
+        player.releaseClimb();
+        
         // Spawn player at start position
         const spawn = this.levelLoader.getSpawnPosition();
         player.x = spawn.x;
@@ -149,21 +163,36 @@ console.log('Spawning player at:', spawn.x, spawn.y);
 console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.currentLevel.pixelHeight);
         
         // IMPORTANT: Clear player input state to fix the "stuck key" bug
-        player.keys = {
-            left: false,
-            right: false,
-            up: false,
-            down: false,
-            space: false
-        };
+        player.resetInput();
         player.speedX = 0;
         player.speedY = 0;
         
+        // Every level starts with a full flask
+        this.refillHolyWater();
+        
+        this.applyLevelSettings();
+        this.lastPromotion = null;
+        
         // Initialize enemies
         if (window.enemyManager) {
             window.enemyManager.init(this.currentLevel);
         }
         
+        // Initialize hazards
+        if (window.hazardManager) {
+            window.hazardManager.init(this.currentLevel);
+        }
+        
+        // Initialize moving platforms
+        if (window.platformManager) {
+            window.platformManager.init(this.currentLevel);
+        }
+        
+        // Initialize physics zones
+        if (window.zoneManager) {
+            window.zoneManager.init(this.currentLevel);
+        }
+        
         // Initialize collectibles with relic filtering
         this.initializeCollectiblesWithRelicCheck();
         
@@ -218,7 +247,7 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
             case this.states.START_SCREEN:
             case this.states.MENU:
                 if (this.menuScreens) {
-                    this.menuScreens.update(1/60);
+                    this.menuScreens.update(window.physics.timeStep);
                 }
                 break;
             case this.states.PLAYING:
@@ -230,7 +259,7 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
     //adding settings
             case this.states.SETTINGS:
                 if (this.menuScreens) {
-                this.menuScreens.update(1/60);
+                this.menuScreens.update(window.physics.timeStep);
                 }
                 break;
             case this.states.GAME_OVER:
@@ -256,7 +285,7 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         }
         
         // Update level time
-        this.levelTime += 1/60;  // Assuming 60 FPS
+        this.levelTime += window.physics.timeStep;
         
         // Check time limit
         if (this.currentLevel.timeLimit && this.levelTime > this.currentLevel.timeLimit) {
@@ -270,9 +299,9 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         // Update active chunks based on camera
         this.updateActiveChunks();
         
-        // Apply level-specific physics
-        if (this.currentLevel.gravity !== 1.0) {
-            window.physics.gravity *= this.currentLevel.gravity;
+        // Water, wind and conveyors push things before they move
+        if (window.zoneManager) {
+            window.zoneManager.update();
         }
         
         // Update all enemies
@@ -280,6 +309,11 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
             window.enemyManager.update();
         }
         
+        // Check spikes, death tiles and pits
+        if (window.hazardManager) {
+            window.hazardManager.update();
+        }
+        
         // Update collectibles
         this.collectiblesManager.update();
         
@@ -296,7 +330,7 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         
         // Check level completion
         if (this.checkLevelComplete()) {
-            this.currentState = this.states.VICTORY;
+            this.completeLevel();
         }
         
         // Apply debug features
@@ -399,8 +433,10 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         const chunkTop = chunk.y * this.chunkSize;
         const chunkBottom = chunkTop + this.chunkSize;
         
-        // Add platforms that overlap this chunk
+        // Add platforms that overlap this chunk (moving platforms are rendered separately)
         this.currentLevel.platforms.forEach(platform => {
+            if (platform.motion) return;
+            
             if (platform.x < chunkRight && platform.x + platform.width > chunkLeft &&
                 platform.y < chunkBottom && platform.y + platform.height > chunkTop) {
                 chunk.platforms.push(platform);
@@ -410,6 +446,28 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         // Similar for enemies and collectibles
     }
 
+    /**
+     * Apply the current level's physics profile and minimum rank
+     * Game over and victory put physics back to the defaults, so respawns and restarts call this again
+     */
+    applyLevelSettings() {
+        // Level physics (moon gravity, wind...) - starts from the defaults every time
+        window.physics.applyLevelProfile(this.currentLevel.physicsProfile);
+        
+        // Make sure the player meets the level's minimum rank
+        this.rankSystem.applyMinimumRank(this.playerStats, this.currentLevel.minRank);
+        player.setRank(this.playerStats.rank);
+    }
+    
+    /**
+     * Fill the holy water flask back up
+     * Below Cardinal, shooting came from picking holy water up - that power-up doesn't come back with it
+     */
+    refillHolyWater() {
+        this.playerStats.holyWater = this.playerStats.maxHolyWater;
+        player.powerUpAbilities.delete('projectile');
+    }
+    
     /**
      * Handle player death
      */
@@ -424,13 +482,7 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         player.state = 'dying';
         
         // Clear player input to prevent stuck keys
-        player.keys = {
-            left: false,
-            right: false,
-            up: false,
-            down: false,
-            space: false
-        };
+        player.resetInput();
     }
 
     /**
@@ -450,11 +502,13 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
             this.deathAnimation.active = false;
             
             if (this.playerStats.lives > 0) {
-                // Respawn with full health
+                // Respawn with full health and holy water
                 this.playerStats.health = this.playerStats.maxHealth;
+                this.refillHolyWater();
                 this.respawnPlayer();
             } else {
                 // No lives left - game over
+                window.physics.resetLevelProfile();
                 this.currentState = this.states.GAME_OVER;
             }
         }
@@ -464,6 +518,12 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
      * Respawn player at checkpoint
      */
     respawnPlayer() {
+        // Stand up and let go before moving to the checkpoint (see init)
+        player.endFlight();
+        player.releaseLedge();
+        player.setCrouching(false);
+        player.releaseClimb();
+        
         const spawn = this.levelLoader.getSpawnPosition();
         player.x = spawn.x;
         player.y = spawn.y;
@@ -471,16 +531,13 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         player.speedY = 0;
         player.state = 'idle';
         
+        this.applyLevelSettings();
+        
         // Clear input state
-        player.keys = {
-            left: false,
-            right: false,
-            up: false,
-            down: false,
-            space: false
-        };
+        player.resetInput();
         
         this.playerStats.health = this.playerStats.maxHealth;
+        this.refillHolyWater();
         this.deathAnimation.active = false;
         
         // Smooth camera transition
@@ -511,6 +568,29 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         return this.levelLoader.checkGoalComplete();
     }
 
+    /**
+     * Finish the level - award a promotion and show the victory screen
+     */
+    completeLevel() {
+        const levelName = this.currentLevelPath.split('/').pop().replace('.json', '');
+        
+        this.lastPromotion = this.rankSystem.awardLevelCompletion(
+            this.playerStats,
+            levelName,
+            this.currentLevel.rankReward
+        );
+        
+        if (this.lastPromotion) {
+            player.setRank(this.playerStats.rank);
+            this.saveGameData();
+        }
+        
+        // Level is done - put the physics back
+        window.physics.resetLevelProfile();
+        
+        this.currentState = this.states.VICTORY;
+    }
+
     /**
      * Update when paused
      */
@@ -532,7 +612,71 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         // Just wait for input (R to restart)
     }
 
-   render() {
+    /**
+     * Everything whose position is blended between ticks when drawing
+     */
+    getInterpolatedObjects() {
+        const objects = [player, this.camera, ...player.projectiles];
+        if (window.enemyManager) {
+            objects.push(...window.enemyManager.enemies);
+        }
+        if (window.platformManager) {
+            objects.push(...window.platformManager.movingPlatforms);
+        }
+        return objects;
+    }
+
+    /**
+     * Remember positions before a tick so render can blend from them
+     */
+    saveInterpolationState() {
+        if (this.currentState !== this.states.PLAYING) return;
+        
+        this.getInterpolatedObjects().forEach(obj => {
+            obj.prevX = obj.x;
+            obj.prevY = obj.y;
+        });
+    }
+
+    /**
+     * Move everything to where it would be part way between the last two ticks
+     * @param {number} alpha - 0 = previous tick, 1 = current tick
+     */
+    applyInterpolation(alpha) {
+        this.interpolatedObjects = this.getInterpolatedObjects();
+        
+        this.interpolatedObjects.forEach(obj => {
+            obj.simX = obj.x;
+            obj.simY = obj.y;
+            if (obj.prevX === undefined) return;
+            
+            // Teleports (respawns, restarts) snap instead of sliding across the screen
+            if (Math.abs(obj.x - obj.prevX) > this.maxInterpolationDistance ||
+                Math.abs(obj.y - obj.prevY) > this.maxInterpolationDistance) {
+                return;
+            }
+            
+            obj.x = obj.prevX + (obj.x - obj.prevX) * alpha;
+            obj.y = obj.prevY + (obj.y - obj.prevY) * alpha;
+        });
+    }
+
+    /**
+     * Put the real simulation positions back after drawing
+     */
+    restoreInterpolation() {
+        this.interpolatedObjects.forEach(obj => {
+            obj.x = obj.simX;
+            obj.y = obj.simY;
+        });
+        this.interpolatedObjects = [];
+    }
+
+    /**
+     * Draw the current state
+     * @param {number} alpha - Blend between the last two ticks (see main.js gameLoop)
+     */
+   render(alpha = 1) {
     // Add this debug line
     console.log('Current state:', this.currentState);
     
@@ -550,6 +694,12 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         return;
     }
     
+    // Blend moving things between ticks so motion is smooth at any refresh rate
+    const interpolating = this.currentState === this.states.PLAYING && alpha < 1;
+    if (interpolating) {
+        this.applyInterpolation(alpha);
+    }
+    
     // Save context state
     this.ctx.save();
     
@@ -589,6 +739,10 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         if (this.debug.enabled) {
             this.renderDebug();
         }
+        
+        if (interpolating) {
+            this.restoreInterpolation();
+        }
     }
 
     renderGame() {
@@ -614,6 +768,26 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
             });
         });
         
+        // Render moving platforms (they don't stay in one chunk)
+        if (window.platformManager) {
+            window.platformManager.movingPlatforms.forEach(platform => {
+                this.renderPlatform(platform);
+            });
+        }
+        
+        // Render slopes
+        this.renderSlopes();
+        
+        // Render physics zones
+        if (window.zoneManager) {
+            window.zoneManager.draw(this.ctx);
+        }
+        
+        // Render hazards
+        if (window.hazardManager) {
+            window.hazardManager.draw(this.ctx);
+        }
+        
         // Render collectibles
         this.collectiblesManager.draw(this.ctx);
         
@@ -702,6 +876,12 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         // Skip if not on screen
         if (!this.isOnScreen(platform)) return;
         
+        // Falling platforms: shake before dropping, fade while falling, hidden until respawn
+        if (platform.motion && platform.motion.kind === 'falling') {
+            this.renderFallingPlatform(platform);
+            return;
+        }
+        
         // Use simple colored rectangles for now
         const colors = {
             'solid': '#654321',
@@ -709,11 +889,44 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
             'very_bouncy_platform': '#FF1493',  // Darker pink for very bouncy
             'oneway': '#90EE90',
             'platform_r_slow': '#FFD700',
-            'falling_platform': '#CD853F'  // Sandy brown for falling platforms
+            'moving_platform': '#FFD700',
+            'platform_cw_circle': '#DAA520',
+            'platform_ccw_circle': '#DAA520',
+            'four_platform_cw_circle': '#DAA520',
+            'four_platform_ccw_circle': '#DAA520',
+            'falling_platform': '#CD853F',  // Sandy brown for falling platforms
+            'platform_falling_timed': '#CD853F',
+            'platform_spin_clockwise': '#B8860B',
+            'platform_spin_counterclockwise': '#B8860B',
+            'platform_balance': '#8FBC8F',
+            'platform_balance_little': '#8FBC8F',
+            'platform_balance_big': '#8FBC8F'
         };
         
         this.ctx.fillStyle = colors[platform.type] || '#808080';
         
+        // Spinning and balance platforms draw rotated around their center
+        if (platform.rotation !== undefined) {
+            this.ctx.save();
+            this.ctx.translate(platform.x + platform.width / 2, platform.y + platform.height / 2);
+            this.ctx.rotate(platform.rotation);
+            this.ctx.fillRect(-platform.width / 2, -platform.height / 2, platform.width, platform.height);
+            
+            // Pivot
+            this.ctx.fillStyle = '#333';
+            this.ctx.beginPath();
+            this.ctx.arc(0, 0, 4, 0, Math.PI * 2);
+            this.ctx.fill();
+            
+            if (this.debug.enabled) {
+                this.ctx.strokeStyle = 'red';
+                this.ctx.lineWidth = 2;
+                this.ctx.strokeRect(-platform.width / 2, -platform.height / 2, platform.width, platform.height);
+            }
+            this.ctx.restore();
+            return;
+        }
+        
         // One-way platforms are semi-transparent
         if (platform.type === 'oneway') {
             this.ctx.globalAlpha = 0.6;
@@ -735,6 +948,79 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         }
     }
 
+    /**
+     * Render slopes as triangles (icy ones are pale blue)
+     */
+    renderSlopes() {
+        (this.currentLevel.slopes || []).forEach(slope => {
+            if (!this.isOnScreen(slope)) return;
+            
+            const bottom = slope.y + slope.height;
+            const right = slope.x + slope.width;
+            
+            this.ctx.fillStyle = slope.icy ? '#B0E0E6' : '#654321';
+            this.ctx.beginPath();
+            this.ctx.moveTo(slope.x, bottom);
+            this.ctx.lineTo(right, bottom);
+            if (slope.direction === 'up') {
+                this.ctx.lineTo(right, slope.y);
+            } else {
+                this.ctx.lineTo(slope.x, slope.y);
+            }
+            this.ctx.closePath();
+            this.ctx.fill();
+            
+            // Debug: Draw slope bounds
+            if (this.debug.enabled) {
+                this.ctx.strokeStyle = 'orange';
+                this.ctx.lineWidth = 2;
+                this.ctx.stroke();
+            }
+        });
+    }
+
+    /**
+     * Render a falling platform based on its state
+     */
+    renderFallingPlatform(platform) {
+        const motion = platform.motion;
+        if (motion.state === 'gone') return;
+        
+        const drawX = platform.x + (platform.shakeOffset || 0);
+        
+        this.ctx.save();
+        this.ctx.fillStyle = '#CD853F';
+        
+        if (motion.state === 'shaking') {
+            // Flicker between dark and light while it shakes
+            this.ctx.fillStyle = motion.timer % 8 < 4 ? '#A0522D' : '#CD853F';
+        } else if (motion.state === 'falling') {
+            // Fade out as it drops (collision is already off)
+            this.ctx.globalAlpha = Math.max(0.2, motion.timer / motion.resetDelay);
+        }
+        
+        this.ctx.fillRect(drawX, platform.y, platform.width, platform.height);
+        
+        // Cracks so players can tell it apart from solid ground
+        this.ctx.strokeStyle = '#5C3317';
+        this.ctx.lineWidth = 1;
+        this.ctx.beginPath();
+        for (let crackX = drawX + 8; crackX < drawX + platform.width - 4; crackX += 16) {
+            this.ctx.moveTo(crackX, platform.y);
+            this.ctx.lineTo(crackX + 4, platform.y + platform.height / 2);
+            this.ctx.lineTo(crackX, platform.y + platform.height);
+        }
+        this.ctx.stroke();
+        this.ctx.restore();
+        
+        // Debug: Draw platform outline
+        if (this.debug.enabled) {
+            this.ctx.strokeStyle = platform.disabled ? 'gray' : 'red';
+            this.ctx.lineWidth = 2;
+            this.ctx.strokeRect(platform.x, platform.y, platform.width, platform.height);
+        }
+    }
+
     /**
      * Check if object is on screen
      */
@@ -805,6 +1091,16 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
             rightY += 35;
         }
         
+        if (player.isFlying) {
+            const percent = player.flightTimer / window.physics.flightDuration;
+            this.ctx.fillStyle = player.flightFlashing ? 'yellow' : 'white';
+            this.ctx.fillText('Flight', this.canvas.width - 150, rightY);
+            // Draw timer bar
+            this.ctx.fillStyle = 'gold';
+            this.ctx.fillRect(this.canvas.width - 150, rightY + 5, 100 * percent, 5);
+            rightY += 35;
+        }
+        
         this.ctx.fillStyle = 'white';
         
         if (this.showPopeBlood) {
@@ -814,11 +1110,20 @@ console.log('Level dimensions:', this.currentLevel.pixelWidth, 'x', this.current
         }
         
         if (this.showHolyWater) {
-            this.ctx.fillText(`Holy Water: ${this.playerStats.holyWater}%`, 
-                            this.canvas.width - 150, rightY);
+            // Meter shows what's actually left, plus how many normal shots that is
+            const shots = Math.floor(this.playerStats.holyWater / player.holyWaterCost);
+            this.ctx.fillText(`Holy Water: ${shots}`, this.canvas.width - 150, rightY);
+            this.ctx.fillStyle = 'darkblue';
+            this.ctx.fillRect(this.canvas.width - 150, rightY + 5, 100, 5);
+            this.ctx.fillStyle = '#00A2FF';
+            this.ctx.fillRect(this.canvas.width - 150, rightY + 5, 
+                            100 * (this.playerStats.holyWater / this.playerStats.maxHolyWater), 5);
+            this.ctx.fillStyle = 'white';
         }
         
-        // Bottom right - Score and Timer
+        // Bottom right - Rank, Score and Timer
+        this.ctx.fillText(`Rank: ${this.rankSystem.getRank(this.playerStats.rank).name}`, 
+                        this.canvas.width - 150, this.canvas.height - 65);
         this.ctx.fillText(`Score: ${this.playerStats.score}`, 
                         this.canvas.width - 150, this.canvas.height - 40);
         
@@ -937,6 +1242,13 @@ renderVictory() {
     this.ctx.font = '24px Arial';
     this.ctx.fillText('Press R to restart', this.canvas.width/2, this.canvas.height/2 + 60);
     
+    // Announce promotion
+    if (this.lastPromotion) {
+        this.ctx.fillStyle = 'gold';
+        this.ctx.font = 'bold 32px Arial';
+        this.ctx.fillText(`Promoted to ${this.lastPromotion.name}!`, this.canvas.width/2, this.canvas.height/2 - 70);
+    }
+    
     this.ctx.textAlign = 'left';
 }
 
@@ -959,12 +1271,14 @@ if ((this.currentState === this.states.START_SCREEN ||
             // Handle ESC to return to menu
             if (e.key === 'Escape') {
                 if (this.currentState === this.states.PLAYING) {
+                    window.physics.resetLevelProfile();
                     this.currentState = this.states.MENU;
                     return;
                 } else if (this.currentState === this.states.GAME_OVER) {
                     // Reset player stats when returning to menu from game over
                     this.playerStats.lives = 3;
                     this.playerStats.health = this.playerStats.maxHealth;
+                    this.refillHolyWater();
                     this.currentState = this.states.MENU;
                     return;
                 }
@@ -1035,6 +1349,7 @@ case 'Settings':
     }
     break;
             case 'Quit to Menu':
+                window.physics.resetLevelProfile();
                 this.currentState = this.states.MENU;
                 break;
         }
@@ -1065,6 +1380,8 @@ case 'Settings':
     saveGameData() {
         const gameData = {
             relicsCollected: this.playerStats.relicsCollected,
+            rank: this.playerStats.rank,
+            levelsCompleted: this.playerStats.levelsCompleted,
             totalCoins: this.playerStats.coins,
             totalScore: this.playerStats.score
         };
@@ -1090,6 +1407,8 @@ case 'Settings':
         // if (saved) {
         //     const data = JSON.parse(saved);
         //     this.playerStats.relicsCollected = data.relicsCollected || [];
+        //     this.playerStats.rank = data.rank || 'friar';
+        //     this.playerStats.levelsCompleted = data.levelsCompleted || [];
         // }
     }
 
@@ -1112,6 +1431,8 @@ case 'Settings':
         this.ctx.fillText(`Health: ${this.playerStats.health}/${this.playerStats.maxHealth}`, 10, debugY);
         debugY += 15;
         this.ctx.fillText(`Relics: ${this.playerStats.relicsCollected.length}`, 10, debugY);
+        debugY += 15;
+        this.ctx.fillText(`Rank: ${this.playerStats.rank}`, 10, debugY);
         
         // Draw player hitbox
         if (player) {
@@ -1235,6 +1556,7 @@ case 'Settings':
         // Reset player stats (but keep relics!)
         this.playerStats.lives = 3;
         this.playerStats.health = this.playerStats.maxHealth;
+        this.refillHolyWater();
         
         // Reset level state
         this.levelTime = 0;
@@ -1250,18 +1572,22 @@ case 'Settings':
             window.enemyManager.init(this.currentLevel);
         }
         
+        // Reinitialize hazards
+        if (window.hazardManager) {
+            window.hazardManager.init(this.currentLevel);
+        }
+        
+        // Put moving platforms back at their start
+        if (window.platformManager) {
+            window.platformManager.init(this.currentLevel);
+        }
+        
         // Clear player input state (fixes stuck key bug)
-        player.keys = {
-            left: false,
-            right: false,
-            up: false,
-            down: false,
-            space: false
-        };
+        player.resetInput();
         player.speedX = 0;
         player.speedY = 0;
         
-        // Respawn player
+        // Respawn player (this also puts the level's physics profile back)
         this.respawnPlayer();
         
         // Reset state
@@ -2,6 +2,11 @@
 
 class Physics {
     constructor() {
+        // Simulation tick - the game updates at this fixed rate whatever the monitor's refresh rate,
+        // so every frame-counted timer (coyote time, power-ups, cooldowns) counts these ticks
+        this.ticksPerSecond = 60;
+        this.timeStep = 1 / this.ticksPerSecond;  // Seconds per tick
+        
         // Gravity settings
         this.gravity = 0.7;  // Increased from 0.5 for less floaty feeling
         this.terminalVelocity = 15;  // Maximum fall speed
@@ -11,22 +16,129 @@ class Physics {
         this.playerAcceleration = 0.8;  // Increased from 0.5 for snappier control
         this.playerFriction = 0.35;  // Increased from 0.2 for less sliding
         this.playerJumpPower = -15;  // Increased from -10 (50% higher jump)
+        this.doubleJumpPower = -13;  // Second (mid-air) jump is slightly weaker
+        this.enemyBouncePower = -10;  // Upward speed after stomping an enemy
+        this.jumpCutMultiplier = 0.5;  // Upward speed kept when jump is let go early (1 = no short hops)
+        this.jumpBufferFrames = 6;  // A jump pressed this many frames before it's possible still happens
+        
+        // Crouching
+        this.crouchSpeedMultiplier = 0.4;  // Top speed while crawling along crouched
+        this.crouchSlideMinSpeed = 5;  // Crouching at this speed or faster starts a slide
+        this.crouchSlideFriction = 0.04;  // Slides keep most of their speed
         
         // Wall physics
         this.wallSlideSpeed = 2;  // Maximum speed when sliding down wall
         this.wallFriction = 0.85;  // Slows vertical movement against walls
+        this.wallJumpPower = -14;  // Upward speed of a wall jump
+        this.wallJumpPushX = 8;  // Horizontal kick away from the wall
+        this.wallJumpLockout = 12;  // Frames of ignored left/right input after a wall jump
+        
+        // Ladders and vines
+        this.climbSpeed = 3;  // Up/down speed while climbing
+        this.climbSideSpeed = 2;  // Shuffling sideways across a ladder or vine
+        this.climbJumpPower = -12;  // Upward speed jumping off
+        this.climbJumpPushX = 5;  // Sideways speed jumping off
+        
+        // Slopes and tilted platforms
+        this.maxWalkableAngle = 60;  // Degrees - anything steeper and you slide off
+        this.slopeSlide = 0.2;  // Downhill pull on normal slopes
+        this.icySlopeSlide = 0.5;  // Icy slopes are slippery!
+        this.slopeSpeedEffect = 0.3;  // Top speed changes by up to 30% going up/down hill
+        this.steepSlideForce = 0.5;  // Downhill push on slopes past the walkable limit
+        this.iceFriction = 0.03;  // Barely slows down on ice
         
         // Special physics zones (for future use)
         this.waterGravity = 0.2;  // Slower gravity in water
         this.waterTerminalVelocity = 5;  // Slower max fall in water
+        this.waterDrag = 0.85;  // Horizontal speed kept each frame in water
+        this.swimPower = -7;  // Upward kick from each swim stroke
         this.lowGravityMultiplier = 0.3;  // For low gravity areas
         
         // Wind/conveyor settings
         this.maxWindForce = 3;  // Maximum wind push strength
+        this.maxUpdraftSpeed = 6;  // Updrafts lift you no faster than this
+        
+        // Pope flight (powered by Pope Blood)
+        this.flightSpeed = 6;  // Max vertical and horizontal speed while flying
+        this.flightAcceleration = 0.6;  // Vertical acceleration from up/down input
+        this.flightDuration = 300;  // Frames of flight per Pope Blood (5 seconds)
+        this.flightBloodCost = 1;  // Pope Blood spent per flight
         
         // Platform edge detection
         this.edgeBalanceThreshold = 0.7;  // 70% of player width must be on platform
         this.teeterZone = 8;  // Pixels from edge to start teetering
+        this.edgeSlipSpeed = 4;  // How fast you slide off once your center is past the edge
+        
+        // Level-wide wind (set by the level's physics profile)
+        this.windX = 0;
+        this.windY = 0;
+        
+        // Remember the tuned values so each level starts from them
+        this.defaultProfile = this.captureProfile();
+    }
+    
+    /**
+     * Snapshot the values a level's physics profile can change
+     */
+    captureProfile() {
+        return {
+            gravity: this.gravity,
+            terminalVelocity: this.terminalVelocity,
+            playerFriction: this.playerFriction,
+            playerJumpPower: this.playerJumpPower,
+            doubleJumpPower: this.doubleJumpPower,
+            wallJumpPower: this.wallJumpPower,
+            jumpCutMultiplier: this.jumpCutMultiplier,
+            jumpBufferFrames: this.jumpBufferFrames,
+            windX: this.windX,
+            windY: this.windY
+        };
+    }
+    
+    /**
+     * Apply a level's physics profile on top of the defaults
+     * Anything the profile leaves out stays at the default
+     * @param {Object} profile - { gravity (multiplier), terminalVelocity, friction, jumpPower, jumpCut, jumpBuffer, wind: {x, y} }
+     */
+    applyLevelProfile(profile = {}) {
+        this.resetLevelProfile();
+        const defaults = this.defaultProfile;
+        
+        if (profile.gravity !== undefined) {
+            this.gravity = defaults.gravity * profile.gravity;
+        }
+        if (profile.terminalVelocity !== undefined) {
+            this.terminalVelocity = profile.terminalVelocity;
+        }
+        if (profile.friction !== undefined) {
+            this.playerFriction = profile.friction;
+        }
+        if (profile.jumpPower !== undefined) {
+            // Jump power is upward whichever way the level writes it
+            // Double and wall jumps keep the same proportion to it
+            const jumpPower = -Math.abs(profile.jumpPower);
+            const ratio = jumpPower / defaults.playerJumpPower;
+            this.playerJumpPower = jumpPower;
+            this.doubleJumpPower = defaults.doubleJumpPower * ratio;
+            this.wallJumpPower = defaults.wallJumpPower * ratio;
+        }
+        if (profile.jumpCut !== undefined) {
+            this.jumpCutMultiplier = Math.max(0, Math.min(1, profile.jumpCut));
+        }
+        if (profile.jumpBuffer !== undefined) {
+            this.jumpBufferFrames = Math.max(0, Math.round(profile.jumpBuffer));
+        }
+        if (profile.wind) {
+            this.windX = Math.max(-this.maxWindForce, Math.min(this.maxWindForce, profile.wind.x || 0));
+            this.windY = Math.max(-this.maxWindForce, Math.min(this.maxWindForce, profile.wind.y || 0));
+        }
+    }
+    
+    /**
+     * Put everything a level profile changed back to the defaults
+     */
+    resetLevelProfile() {
+        Object.assign(this, this.defaultProfile);
     }
     
     /**
@@ -44,6 +156,20 @@ class Physics {
         }
     }
     
+    /**
+     * Apply water's weaker gravity (sinks slowly, and rising speed bleeds off too)
+     * @param {Object} entity - Object with speedY property
+     */
+    applyWaterGravity(entity) {
+        entity.speedY += this.waterGravity;
+        
+        if (entity.speedY > this.waterTerminalVelocity) {
+            entity.speedY = this.waterTerminalVelocity;
+        } else if (entity.speedY < 0) {
+            entity.speedY *= this.waterDrag;
+        }
+    }
+    
     /**
      * Check if entity is on platform edge
      * @param {Object} entity - Object with x, width properties
@@ -96,22 +222,37 @@ class Physics {
             // Accelerate in input direction
             entity.speedX += inputDirection * this.playerAcceleration;
         } else {
-            // Apply friction when not moving
+            // Apply friction when not moving (ice barely has any)
+            const friction = entity.onIce ? this.iceFriction : this.playerFriction;
             if (Math.abs(entity.speedX) > 0.1) {
-                entity.speedX *= (1 - this.playerFriction);
+                entity.speedX *= (1 - friction);
             } else {
                 entity.speedX = 0;
             }
         }
         
-        // Limit to max speed
-        entity.speedX = Math.max(-this.playerMaxSpeed, Math.min(this.playerMaxSpeed, entity.speedX));
+        // Limit to max speed (slopes raise or lower it - see applySlopePhysics - and crouching lowers it)
+        const crouchMultiplier = entity.isCrouching ? this.crouchSpeedMultiplier : 1;
+        const maxSpeed = this.playerMaxSpeed * (entity.slopeSpeedMultiplier || 1) * crouchMultiplier;
+        entity.speedX = Math.max(-maxSpeed, Math.min(maxSpeed, entity.speedX));
     }
     
     /**
-     * Handle slope physics (for future use)
+     * Glide along in a crouch-slide - no steering, just friction (less on ice)
+     * @param {Object} entity - Sliding entity
+     */
+    applyCrouchSlide(entity) {
+        const friction = entity.onIce ? this.iceFriction : this.crouchSlideFriction;
+        entity.speedX *= (1 - friction);
+        if (Math.abs(entity.speedX) < 0.5) {
+            entity.speedX = 0;
+        }
+    }
+    
+    /**
+     * Handle slope physics
      * @param {Object} entity - Entity on slope
-     * @param {number} slopeAngle - Angle of slope in degrees
+     * @param {number} slopeAngle - Angle of slope in degrees (positive runs downhill to the right)
      * @param {boolean} isIcy - Whether slope is icy
      */
     applySlopePhysics(entity, slopeAngle, isIcy = false) {
@@ -119,16 +260,27 @@ class Physics {
         const slopeFactor = Math.sin(slopeRadians);
         
         // Apply slope sliding
-        if (isIcy) {
-            entity.speedX += slopeFactor * 0.5;  // Icy slopes are slippery!
-        } else {
-            entity.speedX += slopeFactor * 0.2;  // Normal slope sliding
-        }
+        entity.speedX += slopeFactor * (isIcy ? this.icySlopeSlide : this.slopeSlide);
+        entity.onIce = isIcy;
+        
+        // Slower going uphill, faster going downhill (applyMovement scales top speed by this)
+        const downhill = entity.speedX * slopeFactor > 0;
+        entity.slopeSpeedMultiplier = 1 + (downhill ? 1 : -1) * Math.abs(slopeFactor) * this.slopeSpeedEffect;
+    }
+    
+    /**
+     * Push an entity down a slope that's too steep to stand on
+     * @param {Object} entity - Entity on slope
+     * @param {number} slopeAngle - Angle of slope in degrees (positive runs downhill to the right)
+     */
+    applySteepSlide(entity, slopeAngle) {
+        const downhill = Math.sign(slopeAngle);
         
-        // Slow upward movement on slopes
-        if ((entity.speedX > 0 && slopeFactor > 0) || (entity.speedX < 0 && slopeFactor < 0)) {
-            entity.speedX *= 0.8;  // 20% slower going uphill
+        // No walking back up
+        if (entity.speedX * downhill < 0) {
+            entity.speedX = 0;
         }
+        entity.speedX += downhill * this.steepSlideForce;
     }
     
     /**
@@ -139,7 +291,13 @@ class Physics {
      */
     applyEnvironmentalForce(entity, forceX, forceY = 0) {
         entity.speedX += forceX;
-        entity.speedY += forceY;
+        
+        // Updrafts lift up to maxUpdraftSpeed (a jump that's already rising faster isn't slowed)
+        if (forceY < 0) {
+            entity.speedY = Math.max(entity.speedY + forceY, Math.min(entity.speedY, -this.maxUpdraftSpeed));
+        } else {
+            entity.speedY += forceY;
+        }
         
         // Still respect terminal velocity
         if (entity.speedY > this.terminalVelocity) {
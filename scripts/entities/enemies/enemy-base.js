@@ -19,6 +19,7 @@ class EnemyBase {
         this.health = config.health || 1;
         this.maxHealth = this.health;
         this.isAlive = true;
+        this.lost = false;  // Fell into a pit - gone, but not defeated by the player
         this.isGrounded = false;
         
         // AI Configuration
@@ -33,19 +34,24 @@ class EnemyBase {
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
         this.knockbackPower = config.knockbackPower || 5;
+        this.knockbackTimer = 0;  // AI is paused while being knocked back
         
         // Physics
         this.useGravity = config.useGravity !== false;
         this.turnAtEdges = config.turnAtEdges !== false;
         this.turnCooldown = 0;
+        this.weight = config.weight || (this.variant === 'strong' ? 2 : 1);  // Tips balance platforms (player weighs 1)
+        this.dropThrough = null;  // One-way platform we're dropping through
+        this.dropThroughHeight = 32;  // Drop down when chasing a player at least this far below
         
         // Visual
         this.color = this.getColorForVariant();
         
         // Collision settings
+        this.layer = config.layer || 'enemy';  // See CollisionDetection.layers
         this.collideWithPlatforms = true;
         this.affectedByGravity = this.useGravity;
-        this.vulnerabilities = ['stomp', 'projectile'];  // What can hurt this enemy
+        this.vulnerabilities = config.vulnerabilities || ['stomp', 'projectile', 'melee', 'hazard'];  // What can hurt this enemy
         
         // Sprite setup
         this.spriteSheet = null;
@@ -114,20 +120,25 @@ class EnemyBase {
             this.invulnerable = this.invulnerabilityTime > 0;
         }
         
-        // Apply gravity if needed
+        // Apply gravity if needed (zones can change it - see ZoneManager)
         if (this.useGravity) {
-            this.speedY += window.physics.gravity;
-            if (this.speedY > window.physics.maxFallSpeed) {
-                this.speedY = window.physics.maxFallSpeed;
+            if (this.inWater) {
+                window.physics.applyWaterGravity(this);
+            } else {
+                window.physics.applyGravity(this, this.gravityMultiplier || 1);
             }
         }
         
-        // Update AI
-        this.updateAI();
+        // Update AI (unless being knocked back)
+        if (this.knockbackTimer > 0) {
+            this.knockbackTimer--;
+            this.speedX *= 0.9;
+        } else {
+            this.updateAI();
+        }
         
-        // Update position
-        this.x += this.speedX;
-        this.y += this.speedY;
+        // Update position (colliding with platforms on the way)
+        this.move();
         
         // Update animation
         this.updateAnimation();
@@ -207,6 +218,14 @@ class EnemyBase {
             this.direction = dx > 0 ? 1 : -1;
             this.speedX = this.baseSpeed * this.direction * 1.5; // Move faster when chasing
             this.state = 'chasing';
+            
+            // Drop through a one-way platform to get at a player below
+            const playerFeet = window.player.y + window.player.height;
+            if (this.isGrounded && this.standingOn &&
+                window.collisionDetection.isOneWay(this.standingOn) &&
+                playerFeet > this.y + this.height + this.dropThroughHeight) {
+                window.collisionDetection.startDropThrough(this, this.standingOn);
+            }
         } else {
             // Return to patrol
             this.patrolAI();
@@ -225,9 +244,16 @@ class EnemyBase {
     
     /**
      * Take damage
+     * @param {number} amount - Damage dealt
+     * @param {number} fromX - X position of the attacker (for knockback direction)
+     * @param {string} damageType - 'stomp', 'projectile', 'melee' or 'hazard'
+     * @returns {boolean} True if the hit landed
      */
-    takeDamage(amount, fromX) {
-        if (this.invulnerable || !this.isAlive) return;
+    takeDamage(amount, fromX, damageType = 'stomp') {
+        if (this.invulnerable || !this.isAlive) return false;
+        
+        // Immune to this kind of attack
+        if (!this.vulnerabilities.includes(damageType)) return false;
         
         this.health -= amount;
         this.invulnerable = true;
@@ -236,10 +262,19 @@ class EnemyBase {
         // Knockback
         const knockbackDir = this.x < fromX ? -1 : 1;
         this.speedX = knockbackDir * this.knockbackPower;
+        this.knockbackTimer = 10;
+        
+        // Crozier swings pop grounded enemies into the air
+        if (damageType === 'melee' && this.useGravity) {
+            this.speedY = -4;
+            this.isGrounded = false;
+        }
         
         if (this.health <= 0) {
             this.die();
         }
+        
+        return true;
     }
     
     /**
@@ -262,11 +297,20 @@ class EnemyBase {
             window.gameEngine.collectiblesManager.spawnCollectible(
                 dropType, 
                 this.x + this.width/2, 
-                this.y
+                this.y,
+                { floating: false }  // Drops fall to the ground
             );
         }
     }
     
+    /**
+     * Fall into a pit - no loot, and it doesn't count as defeated
+     */
+    fallIntoPit() {
+        this.isAlive = false;
+        this.lost = true;
+    }
+    
     /**
      * Check collision with player
      */
@@ -277,8 +321,8 @@ class EnemyBase {
         if (collision) {
             // Check if player is stomping
             if (window.player.speedY > 0 && window.player.y < this.y) {
-                this.takeDamage(1, window.player.x);
-                window.player.speedY = -10; // Bounce player up
+                this.takeDamage(1, window.player.x, 'stomp');
+                window.player.bounceOffEnemy(); // Bounce player up (with front flip)
                 return;
             }
             
@@ -377,6 +421,45 @@ class EnemyBase {
         }
     }
     
+    /**
+     * Move by speedX/speedY in small steps against the level's platforms
+     */
+    move() {
+        if (!this.collideWithPlatforms || !window.collisionDetection || !window.enemyManager) {
+            this.x += this.speedX;
+            this.y += this.speedY;
+            return;
+        }
+        
+        // Reset grounded state for gravity-affected enemies - landing sets it again
+        if (this.affectedByGravity) {
+            this.isGrounded = false;
+            this.standingOn = null;
+        }
+        window.collisionDetection.updateDropThrough(this);
+        
+        window.collisionDetection.moveAndCollide(
+            this,
+            window.collisionDetection.getNearbyPlatforms(this),
+            (platform, collision) => this.onCollisionWithPlatform(platform, collision)
+        );
+        
+        // Walk up and down slopes like the player
+        if (this.affectedByGravity) {
+            window.enemyManager.getSlopes().forEach(slope => {
+                const collision = window.collisionDetection.checkSlopeCollision(this, slope);
+                if (collision) {
+                    window.collisionDetection.handleSlopeCollision(this, slope, collision);
+                }
+            });
+            
+            // Ladder tops are ground too
+            if (window.zoneManager) {
+                window.zoneManager.landOnLadderTop(this);
+            }
+        }
+    }
+    
     /**
      * Handle collision with platform
      */
@@ -9,6 +9,7 @@ class EnemyFlyer extends EnemyBase {
             health: config.health || 1,
             damage: config.damage || 25,  // Default 25% damage for flyers
             useGravity: false,  // Flyers don't fall
+            layer: 'enemy_flying',  // Fly through platforms, but not the ground
             turnAtEdges: false   // Flyers don't need edge detection
         };
         
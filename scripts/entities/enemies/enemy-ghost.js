@@ -0,0 +1,117 @@
+// enemy-ghost.js - Floating enemy that drifts through walls toward the player
+
+class EnemyGhost extends EnemyBase {
+    constructor(x, y, config = {}) {
+        // Set ghost-specific defaults
+        const ghostConfig = {
+            ...config,
+            speed: config.speed || 0.8,
+            health: config.health || 2,
+            damage: config.damage || 25,
+            useGravity: false,  // Ghosts float
+            turnAtEdges: false,
+            layer: 'enemy_ghost',  // Passes through walls and platforms, stops at the ground
+            vulnerabilities: config.vulnerabilities || ['stomp', 'projectile', 'melee']  // Spikes go right through
+        };
+        
+        super(x, y, ghostConfig);
+        
+        // Ghost-specific properties
+        this.baseY = y;
+        this.bobAmplitude = 8;
+        this.bobSpeed = 0.04;
+        this.bobOffset = Math.random() * Math.PI * 2;
+        this.visionRange = config.detectionRange || 250;
+        this.acceleration = 0.05;  // How quickly it changes direction
+        
+        // Fade in and out while drifting
+        this.alpha = 0.7;
+    }
+    
+    /**
+     * Ghosts drift toward the player when they see them, otherwise hover in place
+     */
+    updateAI() {
+        this.bobOffset += this.bobSpeed;
+        
+        let targetSpeedX = 0;
+        let targetSpeedY = (this.baseY + Math.sin(this.bobOffset) * this.bobAmplitude - this.y) * 0.05;
+        
+        if (window.player) {
+            const dx = (window.player.x + window.player.width / 2) - (this.x + this.width / 2);
+            const dy = (window.player.y + window.player.height / 2) - (this.y + this.height / 2);
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            
+            if (distance < this.visionRange && distance > 0) {
+                targetSpeedX = (dx / distance) * this.baseSpeed;
+                targetSpeedY = (dy / distance) * this.baseSpeed;
+                this.direction = dx > 0 ? 1 : -1;
+                this.state = 'chasing';
+                
+                // Hover around wherever the chase left us
+                this.baseY = this.y;
+            } else {
+                this.state = 'idle';
+            }
+        }
+        
+        // Ease toward the target speed so turns look floaty
+        this.speedX += (targetSpeedX - this.speedX) * this.acceleration;
+        this.speedY += (targetSpeedY - this.speedY) * this.acceleration;
+        
+        // Flicker a little
+        this.alpha = 0.6 + Math.sin(this.bobOffset * 2) * 0.15;
+    }
+    
+    /**
+     * Draw the ghost (no sprite row for ghosts yet, so it's drawn by hand)
+     */
+    draw(ctx) {
+        if (!this.isAlive) return;
+        
+        ctx.save();
+        ctx.globalAlpha = this.alpha;
+        
+        // Flash when invulnerable
+        if (this.invulnerable && this.invulnerabilityTime % 4 < 2) {
+            ctx.globalAlpha = this.alpha * 0.5;
+        }
+        
+        // Round head, wavy tail
+        const centerX = this.x + this.width / 2;
+        const radius = this.width / 2;
+        const bottom = this.y + this.height;
+        const wave = Math.sin(this.bobOffset * 3) * 2;
+        
+        ctx.fillStyle = '#F0F8FF';
+        ctx.beginPath();
+        ctx.arc(centerX, this.y + radius, radius, Math.PI, 0);
+        ctx.lineTo(this.x + this.width, bottom + wave);
+        ctx.lineTo(this.x + this.width * 0.75, bottom - 4 - wave);
+        ctx.lineTo(this.x + this.width * 0.5, bottom + wave);
+        ctx.lineTo(this.x + this.width * 0.25, bottom - 4 - wave);
+        ctx.lineTo(this.x, bottom + wave);
+        ctx.closePath();
+        ctx.fill();
+        
+        // Eyes look the way it's drifting
+        ctx.fillStyle = '#000000';
+        const eyeY = this.y + 10;
+        const lookX = this.direction > 0 ? 3 : -3;
+        ctx.fillRect(centerX - 8 + lookX, eyeY, 4, 6);
+        ctx.fillRect(centerX + 4 + lookX, eyeY, 4, 6);
+        
+        ctx.restore();
+        
+        // Draw health bar if damaged
+        if (this.health < this.maxHealth) {
+            ctx.fillStyle = 'red';
+            ctx.fillRect(this.x, this.y - 8, this.width, 4);
+            ctx.fillStyle = 'green';
+            ctx.fillRect(this.x, this.y - 8, this.width * (this.health / this.maxHealth), 4);
+        }
+    }
+}
+
+// Export
+window.EnemyGhost = EnemyGhost;
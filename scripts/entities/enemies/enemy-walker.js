@@ -83,8 +83,11 @@ class EnemyWalker extends EnemyBase {
             -this.edgeDetectionDistance);
         const checkY = this.y + this.height + 10;
         
-        // Get platforms from game engine
-        const platforms = window.gameEngine.currentLevel?.platforms || [];
+        // Only platforms near the check point that we collide with (it can sit up to 10px below one)
+        const platforms = window.collisionDetection.getNearbyPlatforms(
+            { x: checkX, y: checkY, width: 0, height: 0, layer: this.layer },
+            10
+        );
         
         // See if there's a platform below the check point
         for (let platform of platforms) {
@@ -97,6 +100,22 @@ class EnemyWalker extends EnemyBase {
             }
         }
         
+        // Slopes are ground too
+        const slopes = window.gameEngine.currentLevel?.slopes || [];
+        for (let slope of slopes) {
+            if (checkX >= slope.x && 
+                checkX <= slope.x + slope.width &&
+                checkY >= slope.y && 
+                checkY <= slope.y + slope.height + 10) {
+                return false;
+            }
+        }
+        
+        // So are ladder tops (we can stand on them, see EnemyBase.move)
+        if (window.zoneManager && window.zoneManager.getLadderTopAt(checkX, this.y + this.height, 10)) {
+            return false;
+        }
+        
         return true; // No ground found, there's an edge
     }
     
@@ -111,12 +130,16 @@ class EnemyWalker extends EnemyBase {
             x: this.x + (this.direction > 0 ? this.width : -5),
             y: this.y + this.height/2,
             width: 5,
-            height: 5
+            height: 5,
+            layer: this.layer
         };
         
         // Check collision with platforms
-        const platforms = window.gameEngine.currentLevel.platforms;
+        const platforms = window.collisionDetection.getNearbyPlatforms(probe, 0);
         for (let platform of platforms) {
+            // Fallen and spinning platforms aren't walls
+            if (platform.disabled || platform.rotation !== undefined) continue;
+            
             if (window.collisionDetection.checkRectCollision(probe, platform)) {
                 return true;
             }
@@ -7,6 +7,9 @@ class Player {
         this.y = y;
         this.width = 56;   // was 32, now 75% bigger
         this.height = 112; // was 64, now 75% bigger
+        this.standingHeight = this.height;
+        this.crouchHeight = 64;  // Hitbox while crouching (feet stay put)
+        this.layer = 'player';  // Collision layer (see CollisionDetection.layers)
         
         // Movement properties
         this.speedX = 0;  // Current horizontal velocity
@@ -22,6 +25,47 @@ class Player {
         this.coyoteTime = 0;  // Frames since leaving ground
         this.coyoteTimeMax = 6;  // Allow jump for 6 frames after leaving platform
         this.hasReleasedJump = true;  // Prevent jump key holding
+        this.jumpBufferTimer = 0;  // Frames a jump press waits for us to be able to jump
+        this.jumpCuttable = false;  // Releasing jump now cuts the jump short
+        
+        // Edge balance - we stay up until our center passes the edge (see CollisionDetection)
+        this.balancesOnCenter = true;
+        this.edgeBalance = 'stable';  // 'stable', 'leftEdge' or 'rightEdge' (Physics.checkEdgeBalance)
+        this.dropThrough = null;  // One-way platform we're dropping through (down + jump)
+        
+        // Physics zones (set each frame by ZoneManager)
+        this.inWater = false;
+        this.waterSurfaceY = null;  // Top of the water we're in
+        this.gravityMultiplier = 1;
+        
+        // Wall slide / wall jump
+        this.wallDirection = 0;  // 1 = wall on the right, -1 = wall on the left, 0 = none
+        this.wallJumpLockout = 0;  // Frames left where left/right input is ignored
+        
+        // Crouching
+        this.isCrouching = false;
+        this.isCrouchSliding = false;  // Crouched at speed - glides along until it runs out
+        
+        // Ledge hang and climb-up
+        this.ledge = null;  // Platform we're hanging from
+        this.ledgeSide = 0;  // 1 = ledge is to our right, -1 = to our left
+        this.ledgeHangOffset = 8;  // How far our head pokes above the ledge while hanging
+        this.climbTimer = 0;  // Frames left in the climb-up
+        this.climbDuration = 16;
+        this.ledgeRegrabDelay = 0;  // Frames after letting go before we can catch a ledge again
+        this.ledgeRegrabFrames = 15;
+        
+        // Ladders and vines (climbable zones, see ZoneManager)
+        this.climbZone = null;  // Zone we're climbing
+        this.climbRegrabDelay = 0;  // Frames after jumping off before we can grab on again
+        this.climbRegrabFrames = 15;
+        
+        // Double jump (Bishop rank or power-up)
+        this.maxAirJumps = 1;
+        this.airJumpsRemaining = 0;  // Refilled on landing, bounce pads and stomps
+        this.flipTimer = 0;  // Frames left in the front flip
+        this.flipDuration = 24;
+        this.flipRotation = 0;
         
         // Projectile system (holy water)
         this.projectiles = [];
@@ -31,22 +75,41 @@ class Player {
         this.isCharging = false;
         this.lastShotTime = 0;
         this.shotCooldown = 15;  // Quarter second between shots
+        this.holyWaterCost = 10;  // Holy water used by a normal shot (10 shots per full flask)
+        this.chargedHolyWaterCost = 20;  // Holy water used by a fully charged shot
+        
+        // Melee front attack - crozier swing (Archbishop rank)
+        this.isAttacking = false;
+        this.attackTimer = 0;  // Frames into the current swing
+        this.attackDuration = 18;  // Whole swing
+        this.attackActiveStart = 4;  // Hitbox is live from this frame...
+        this.attackActiveEnd = 12;  // ...until this one
+        this.attackCooldown = 0;
+        this.attackCooldownMax = 30;  // Half second between swings
+        this.attackRange = 48;  // Reach in front of the player
+        this.attackDamage = 1;
+        this.attackHitEnemies = new Set();  // Enemies already hit by this swing
+        this.hasReleasedAttack = true;
+        
+        // Temporary flight (Pope rank, spends Pope Blood)
+        this.isFlying = false;
+        this.flightTimer = 0;
+        this.flightFlashing = false;  // Warning flash before flight ends
         
         // Invulnerability (from enemy damage)
         this.invulnerable = false;
         this.invulnerabilityTime = 0;
         
+        // Clerical rank (set by game engine from playerStats.rank)
+        this.rank = 'friar';
+        this.powerUpAbilities = new Set();  // Abilities granted temporarily by power-ups
+        
         // Visual properties
         this.color = '#D2B48C';  // Tan color (fallback)
         
         // Sprite setup
-        this.sprite = new Image();
-        this.sprite.src = 'assets/images/characters/player/pope-sprite-sheet-1.png';
-        this.spriteLoaded = false;
-        this.sprite.onload = () => {
-            this.spriteLoaded = true;
-            console.log('Pope sprite sheet loaded!');
-        };
+        this.defaultSpriteSheet = 'assets/images/characters/player/pope-sprite-sheet-1.png';
+        this.setSpriteSheet(this.defaultSpriteSheet);
         
         // Sprite sheet configuration
         this.frameWidth = 32;
@@ -57,7 +120,20 @@ class Player {
             walk1: 2,
             walk2: 3,
             jump: 4,
-            fall: 5
+            fall: 5,
+            frontFlip: 4,  // Jump frame, rotated while flipping
+            wallSlide: 5,  // Fall frame, drawn facing away from the wall
+            attack: 2,     // Walk stride frame, with the crozier drawn on top
+            swimStroke: 4, // Jump frame while kicking up
+            swimSink: 5,   // Fall frame while drifting down
+            ledgeHang: 4,  // Jump frame, arms up on the ledge
+            ledgeClimb: 3, // Walk stride frame, hauling up over the edge
+            teeter1: 4,    // Arms up...
+            teeter2: 5,    // ...arms down, windmilling at the edge
+            crouch: 1,     // Idle frame, squashed down to the crouch hitbox
+            crouchSlide: 5, // Fall frame, leaning into the slide
+            climb1: 4,     // Jump frame, reaching up...
+            climb2: 3      // ...walk stride frame, pulling up
         };
         
         // Animation state
@@ -65,6 +141,8 @@ class Player {
         this.animationTimer = 0;
         this.idleAnimationSpeed = 0.05;  // Slower for breathing
         this.walkAnimationSpeed = 0.15;  // Faster for walking
+        this.teeterAnimationSpeed = 0.2;  // Frantic arm waving
+        this.climbAnimationSpeed = 0.12;  // Hand over hand
         
         // Input states
         this.keys = {
@@ -72,7 +150,8 @@ class Player {
             right: false,
             up: false,
             down: false,
-            space: false
+            space: false,
+            attack: false
         };
     }
     
@@ -104,9 +183,19 @@ class Player {
             case 'S':
                 this.keys.down = true;
                 break;
+            case 'x':
+            case 'X':
+                this.keys.attack = true;
+                break;
+            case 'f':
+            case 'F':
+                this.startFlight();
+                break;
             case ' ':  // Spacebar
                 this.keys.space = true;
-                this.isCharging = true;  // Start charging
+                if (this.hasAbility('projectile')) {
+                    this.isCharging = true;  // Start charging
+                }
                 break;
         }
     }
@@ -134,6 +223,11 @@ class Player {
             case 'S':
                 this.keys.down = false;
                 break;
+            case 'x':
+            case 'X':
+                this.keys.attack = false;
+                this.hasReleasedAttack = true;
+                break;
             case ' ':  // Spacebar
                 this.keys.space = false;
                 if (this.isCharging && this.chargeTime > 0) {
@@ -145,6 +239,70 @@ class Player {
         }
     }
     
+    /**
+     * Let go of every key (deaths, respawns and restarts, so nothing stays held)
+     */
+    resetInput() {
+        Object.keys(this.keys).forEach(key => {
+            this.keys[key] = false;
+        });
+        this.hasReleasedJump = true;
+        this.hasReleasedAttack = true;
+        this.isCharging = false;
+        this.chargeTime = 0;
+    }
+    
+    /**
+     * Load a sprite sheet, falling back to the default sheet if it's missing
+     * @param {string} src - Path to the sprite sheet image
+     */
+    setSpriteSheet(src) {
+        this.spriteLoaded = false;
+        this.sprite = new Image();
+        this.sprite.onload = () => {
+            this.spriteLoaded = true;
+            console.log('Player sprite sheet loaded:', src);
+        };
+        this.sprite.onerror = () => {
+            if (src !== this.defaultSpriteSheet) {
+                console.warn('Missing sprite sheet, using default:', src);
+                this.setSpriteSheet(this.defaultSpriteSheet);
+            }
+        };
+        this.sprite.src = src;
+    }
+    
+    /**
+     * Change clerical rank and swap to that rank's outfit
+     * @param {string} rankId - Rank id from RankSystem (e.g. 'bishop')
+     */
+    setRank(rankId) {
+        if (!window.gameEngine || !window.gameEngine.rankSystem) {
+            this.rank = rankId;
+            return;
+        }
+        
+        const rankSystem = window.gameEngine.rankSystem;
+        const spriteSheet = rankSystem.getSpriteSheet(rankId);
+        this.rank = rankSystem.getRank(rankId).id;
+        
+        // Only reload when the outfit actually changes
+        if (spriteSheet !== this.rankSpriteSheet) {
+            this.rankSpriteSheet = spriteSheet;
+            this.setSpriteSheet(spriteSheet);
+        }
+    }
+    
+    /**
+     * Check if the player can use an ability at their current rank
+     * @param {string} ability - 'jump', 'doubleJump', 'frontAttack', 'projectile' or 'flight'
+     */
+    hasAbility(ability) {
+        if (this.powerUpAbilities.has(ability)) return true;
+        if (!window.gameEngine || !window.gameEngine.rankSystem) return false;
+        return window.gameEngine.rankSystem.hasAbility(this.rank, ability);
+    }
+    
     /**
      * Update player physics and state
      * Called every frame from main.js
@@ -153,6 +311,66 @@ class Player {
         // Don't update if dying
         if (this.state === 'dying') return;
         
+        // Hanging from a ledge or climbing replaces normal movement
+        if (this.ledge) {
+            this.updateLedgeHang();
+        } else if (this.climbZone) {
+            this.updateClimbing();
+        } else {
+            this.updateMovement();
+        }
+        
+        // Update projectile charging
+        if (this.isCharging && this.lastShotTime <= 0) {
+            this.chargeTime = Math.min(this.chargeTime + 1, this.maxChargeTime);
+        }
+        
+        // Update shot cooldown
+        if (this.lastShotTime > 0) {
+            this.lastShotTime--;
+        }
+        
+        // Update projectiles
+        this.updateProjectiles();
+        
+        // Update melee attack
+        if (this.keys.attack && this.hasReleasedAttack) {
+            this.startAttack();
+            this.hasReleasedAttack = false;
+        }
+        this.updateAttack();
+        
+        // Update invulnerability
+        if (this.invulnerabilityTime > 0) {
+            this.invulnerabilityTime--;
+            this.invulnerable = this.invulnerabilityTime > 0;
+        }
+        
+        // Update state machine
+        this.updateState();
+        
+        // Update animation based on state
+        this.updateAnimation();
+        
+        // Handle idle timer
+        if (this.state === 'idle') {
+            this.idleTimer++;
+        } else {
+            this.idleTimer = 0;
+        }
+    }
+    
+    /**
+     * Run, jump, fall and collide (everything but hanging from a ledge or climbing)
+     */
+    updateMovement() {
+        // Up in front of a ladder or vine (or down on top of a ladder) starts climbing instead
+        if (this.climbRegrabDelay > 0) {
+            this.climbRegrabDelay--;
+        } else if (this.tryStartClimbing()) {
+            return;
+        }
+        
         // Get input direction
         let inputDirection = 0;
         if (this.keys.left) inputDirection = -1;
@@ -160,21 +378,50 @@ class Player {
         
         // Update facing direction (removed duplicate since it's in handleKeyDown now)
         
-        // Use physics system for movement
-        window.physics.applyMovement(this, inputDirection);
+        // Duck (or slide) while down is held on the ground
+        this.updateCrouch();
         
-        // Apply gravity - THIS WAS MISSING!
-        window.physics.applyGravity(this);
+        // Use physics system for movement (wall jump kick can't be steered at first)
+        if (this.wallJumpLockout > 0) {
+            this.wallJumpLockout--;
+        } else if (this.isCrouchSliding) {
+            window.physics.applyCrouchSlide(this);
+        } else {
+            window.physics.applyMovement(this, inputDirection);
+        }
         
-        // Handle jumping
-        if (this.keys.up && this.hasReleasedJump) {
-            // Can jump if grounded OR within coyote time
-            if (this.isGrounded || this.coyoteTime < this.coyoteTimeMax) {
-                this.jump();
-                this.hasReleasedJump = false;
+        // Apply gravity - THIS WAS MISSING! (suspended while flying)
+        if (this.isFlying) {
+            this.updateFlight();
+        } else if (this.inWater) {
+            window.physics.applyWaterGravity(this);
+        } else {
+            window.physics.applyGravity(this, this.gravityMultiplier);
+        }
+        
+        // Handle jumping (up is used to climb while flying)
+        // A press is remembered for a few frames, so one just before landing still jumps
+        if (this.keys.up && this.hasReleasedJump && !this.isFlying) {
+            this.jumpBufferTimer = window.physics.jumpBufferFrames + 1;  // This frame, plus the buffer
+            this.hasReleasedJump = false;
+        }
+        if (this.jumpBufferTimer > 0) {
+            if (this.isFlying || this.tryJump()) {
+                this.jumpBufferTimer = 0;
+            } else {
+                this.jumpBufferTimer--;
             }
         }
         
+        // Letting go of jump early cuts the jump short (tap for a hop, hold for full height)
+        if (this.jumpCuttable && !this.keys.up && this.speedY < 0) {
+            this.speedY *= window.physics.jumpCutMultiplier;
+            this.jumpCuttable = false;
+        }
+        if (this.speedY >= 0) {
+            this.jumpCuttable = false;
+        }
+        
         // Update coyote time
         if (!this.isGrounded) {
             this.coyoteTime++;
@@ -182,9 +429,16 @@ class Player {
             this.coyoteTime = 0;
         }
         
-        // Apply movement
-        this.x += this.speedX;
-        this.y += this.speedY;
+        // Reset contact state - the collisions below set it again
+        this.isGrounded = false;
+        this.wallDirection = 0;
+        this.standingOn = null;
+        this.onIce = false;
+        this.slopeSpeedMultiplier = 1;
+        
+        // Apply movement (in small steps against the platforms so nothing tunnels)
+        window.collisionDetection.updateDropThrough(this);
+        this.moveAndCollide();
         
         // Keep player within level bounds
         if (window.gameEngine && window.gameEngine.currentLevel) {
@@ -207,37 +461,375 @@ class Player {
             }
         }
         
-        // Update projectile charging
-        if (this.isCharging && this.lastShotTime <= 0) {
-            this.chargeTime = Math.min(this.chargeTime + 1, this.maxChargeTime);
+        // Are we right at the edge of what we're standing on?
+        this.edgeBalance = this.getEdgeBalance();
+        
+        // Catch a ledge while falling past it
+        if (this.ledgeRegrabDelay > 0) {
+            this.ledgeRegrabDelay--;
+        } else if (!this.isGrounded && this.speedY > 0 && !this.isFlying && !this.inWater &&
+                   !this.isAttacking && !this.keys.down) {
+            this.tryGrabLedge();
+        }
+    }
+    
+    /**
+     * Move by speedX/speedY, colliding with the level's platforms and slopes on the way
+     */
+    moveAndCollide() {
+        const level = window.gameEngine ? window.gameEngine.currentLevel : null;
+        if (!level) {
+            this.x += this.speedX;
+            this.y += this.speedY;
+            return;
         }
         
-        // Update shot cooldown
-        if (this.lastShotTime > 0) {
-            this.lastShotTime--;
+        // Only the platforms this move can reach (see CollisionDetection.getNearbyPlatforms)
+        const platforms = window.collisionDetection.getNearbyPlatforms(this);
+        window.collisionDetection.moveAndCollide(this, platforms);
+        
+        // Slopes snap to the surface, so one check after the move is enough
+        (level.slopes || []).forEach(slope => {
+            const collision = window.collisionDetection.checkSlopeCollision(this, slope);
+            if (collision) {
+                window.collisionDetection.handleSlopeCollision(this, slope, collision);
+            }
+        });
+        
+        // Ladder tops hold us up like a one-way platform
+        if (window.zoneManager) {
+            window.zoneManager.landOnLadderTop(this);
         }
+    }
+    
+    /**
+     * Grab a ladder or vine if we're pressing toward it
+     * Up climbs whatever we're in front of, down climbs down from the top of a ladder
+     * @returns {boolean} True if we started climbing
+     */
+    tryStartClimbing() {
+        if (!window.zoneManager || this.isFlying || this.inWater || this.isAttacking) return false;
         
-        // Update projectiles
-        this.updateProjectiles();
+        let zone = null;
+        if (this.keys.up) {
+            zone = window.zoneManager.getClimbable(this);
+        } else if (this.keys.down && this.isGrounded) {
+            zone = window.zoneManager.getLadderTopAt(this.x + this.width / 2, this.y + this.height);
+        }
+        if (!zone) return false;
         
-        // Update invulnerability
-        if (this.invulnerabilityTime > 0) {
-            this.invulnerabilityTime--;
-            this.invulnerable = this.invulnerabilityTime > 0;
+        this.startClimbing(zone);
+        return true;
+    }
+    
+    /**
+     * Start climbing a ladder or vine, lined up with its middle
+     * @param {Object} zone - Climbable zone (ZoneManager)
+     */
+    startClimbing(zone) {
+        this.climbZone = zone;
+        this.x = zone.x + zone.width / 2 - this.width / 2;
+        this.speedX = 0;
+        this.speedY = 0;
+        this.isGrounded = false;
+        this.standingOn = null;
+        this.wallDirection = 0;
+        this.setCrouching(false);
+        this.refreshAirJumps();
+        this.hasReleasedJump = !this.keys.up;  // Holding up climbs rather than jumping off
+        this.jumpBufferTimer = 0;
+        this.jumpCuttable = false;
+    }
+    
+    /**
+     * Climb - up/down to move, left/right to shuffle across, a fresh jump press with a
+     * direction held leaps off that way
+     * No gravity while climbing; off the ends or the sides we let go
+     */
+    updateClimbing() {
+        const physics = window.physics;
+        const collisionDetection = window.collisionDetection;
+        const zone = this.climbZone;
+        
+        if (this.isFlying) {
+            this.releaseClimb();
+            return;
         }
         
-        // Update state machine
-        this.updateState();
+        let horizontal = 0;
+        if (this.keys.left) horizontal = -1;
+        if (this.keys.right) horizontal = 1;
         
-        // Update animation based on state
-        this.updateAnimation();
+        // Leap off sideways
+        if (this.keys.up && this.hasReleasedJump && horizontal !== 0) {
+            this.hasReleasedJump = false;
+            this.releaseClimb();
+            this.speedY = physics.climbJumpPower;
+            this.speedX = horizontal * physics.climbJumpPushX;
+            this.facingRight = horizontal > 0;
+            this.coyoteTime = this.coyoteTimeMax;
+            this.jumpCuttable = true;
+            return;
+        }
+        if (!this.keys.up) {
+            this.hasReleasedJump = true;
+        }
         
-        // Handle idle timer
-        if (this.state === 'idle') {
-            this.idleTimer++;
+        let vertical = 0;
+        if (this.keys.up) vertical = -1;
+        if (this.keys.down) vertical = 1;
+        
+        this.speedX = horizontal * physics.climbSideSpeed;
+        this.speedY = vertical * physics.climbSpeed;
+        this.isGrounded = false;
+        this.wallDirection = 0;
+        this.standingOn = null;
+        
+        // Walls and ceilings still stop us, one-way platforms the ladder passes through don't
+        const platforms = collisionDetection.getNearbyPlatforms(this)
+            .filter(platform => !collisionDetection.isOneWay(platform));
+        collisionDetection.moveAndCollide(this, platforms);
+        
+        const feet = this.y + this.height;
+        
+        // Climbed out of the top of a ladder - stand on it
+        if (zone.type === 'ladder' && feet <= zone.y) {
+            this.y = zone.y - this.height;
+            this.climbZone = null;
+            this.setGrounded(true);
+            this.coyoteTime = 0;
+            return;
+        }
+        
+        // Vines just end - hang on at the top
+        if (zone.type !== 'ladder' && this.y < zone.y) {
+            this.y = zone.y;
+        }
+        
+        // Reached the ground, or let go off the bottom or sides
+        if (this.isGrounded || window.zoneManager.getClimbable(this) !== zone) {
+            this.releaseClimb();
+        }
+        
+        this.speedX = 0;
+        this.speedY = 0;
+    }
+    
+    /**
+     * Let go of the ladder or vine we're on
+     */
+    releaseClimb() {
+        if (!this.climbZone) return;
+        
+        this.climbZone = null;
+        this.climbRegrabDelay = this.climbRegrabFrames;
+    }
+    
+    /**
+     * Crouch while down is held on the ground, and stand back up when there's room
+     * Crouching at speed turns into a slide
+     */
+    updateCrouch() {
+        const wantsToCrouch = this.keys.down && this.isGrounded && !this.isFlying && !this.inWater;
+        
+        if (wantsToCrouch && !this.isCrouching) {
+            this.setCrouching(true);
+            this.isCrouchSliding = Math.abs(this.speedX) >= window.physics.crouchSlideMinSpeed;
+        } else if (!wantsToCrouch && this.isCrouching && this.canStandUp()) {
+            this.setCrouching(false);
+        }
+        
+        // Slide's over once it's lost its speed
+        if (this.isCrouchSliding && (!this.isCrouching || this.speedX === 0)) {
+            this.isCrouchSliding = false;
+        }
+    }
+    
+    /**
+     * Switch between the standing and crouching hitbox, keeping our feet where they are
+     */
+    setCrouching(crouching) {
+        const feet = this.y + this.height;
+        this.isCrouching = crouching;
+        this.height = crouching ? this.crouchHeight : this.standingHeight;
+        this.y = feet - this.height;
+        
+        if (!crouching) {
+            this.isCrouchSliding = false;
+        }
+    }
+    
+    /**
+     * Check there's headroom to stand up (one-way platforms don't count)
+     */
+    canStandUp() {
+        const collisionDetection = window.collisionDetection;
+        const feet = this.y + this.height;
+        const standing = {
+            x: this.x,
+            y: feet - this.standingHeight,
+            width: this.width,
+            height: this.standingHeight - this.height
+        };
+        return !collisionDetection.hitsSolidPlatform(standing, collisionDetection.getNearbyPlatforms(standing, 0));
+    }
+    
+    /**
+     * Check how close we are to the edge of the platform we're standing on
+     * Edges that carry on into more ground (next tile, a slope) don't count
+     * @returns {string} 'stable', 'leftEdge' or 'rightEdge'
+     */
+    getEdgeBalance() {
+        const platform = this.standingOn;
+        if (!this.isGrounded || !platform || platform.rotation !== undefined) return 'stable';
+        
+        const balance = window.physics.checkEdgeBalance(this, platform);
+        if (balance === 'leftEdge' &&
+            !window.collisionDetection.hasGroundAt(platform.x - 1, platform.y, platform)) {
+            return 'leftEdge';
+        }
+        if (balance === 'rightEdge' &&
+            !window.collisionDetection.hasGroundAt(platform.x + platform.width + 1, platform.y, platform)) {
+            return 'rightEdge';
+        }
+        return 'stable';
+    }
+    
+    /**
+     * Look for a ledge we're falling past and catch it
+     */
+    tryGrabLedge() {
+        const collisionDetection = window.collisionDetection;
+        const platforms = collisionDetection.getNearbyPlatforms(this, collisionDetection.edgeGrabDistance);
+        
+        for (let platform of platforms) {
+            const grab = collisionDetection.checkEdgeGrab(this, platform);
+            if (!grab) continue;
+            
+            // Only ledges we'd have room to stand on top of
+            const top = this.getLedgeTopPosition(platform, grab.side);
+            const standing = { x: top.x, y: top.y, width: this.width, height: this.height };
+            if (collisionDetection.hitsSolidPlatform(standing, collisionDetection.getNearbyPlatforms(standing, 0))) {
+                continue;
+            }
+            
+            this.grabLedge(platform, grab.side);
+            return;
+        }
+    }
+    
+    /**
+     * Start hanging from a ledge
+     * @param {Object} platform - Platform whose corner we caught
+     * @param {number} side - 1 if the ledge is to our right, -1 if to our left
+     */
+    grabLedge(platform, side) {
+        this.ledge = platform;
+        this.ledgeSide = side;
+        this.climbTimer = 0;
+        this.speedX = 0;
+        this.speedY = 0;
+        this.wallDirection = 0;
+        this.endFlight();
+        this.refreshAirJumps();
+        this.hasReleasedJump = !this.keys.up;  // Still holding jump from before doesn't climb
+        this.jumpBufferTimer = 0;
+    }
+    
+    /**
+     * Hang from the ledge - up climbs onto it, down lets go
+     */
+    updateLedgeHang() {
+        const ledge = this.ledge;
+        
+        // Falling platform dropped out from under our hands
+        if (ledge.disabled) {
+            this.releaseLedge();
+            return;
+        }
+        
+        this.speedX = 0;
+        this.speedY = 0;
+        this.isGrounded = false;
+        this.standingOn = ledge;  // Moving platforms carry us, and our weight counts on balance platforms
+        
+        const hangX = this.ledgeSide > 0 ? ledge.x - this.width : ledge.x + ledge.width;
+        const hangY = ledge.y - this.ledgeHangOffset;
+        
+        // Climbing: rise up beside the ledge, then step onto it
+        if (this.climbTimer > 0) {
+            this.climbTimer--;
+            const top = this.getLedgeTopPosition(ledge, this.ledgeSide);
+            const progress = 1 - this.climbTimer / this.climbDuration;
+            this.y = hangY + (top.y - hangY) * Math.min(1, progress * 2);
+            this.x = hangX + (top.x - hangX) * Math.max(0, progress * 2 - 1);
+            
+            if (this.climbTimer === 0) {
+                this.ledge = null;
+                this.ledgeSide = 0;
+                this.setGrounded(true);
+                this.coyoteTime = 0;
+            }
+            return;
+        }
+        
+        this.x = hangX;
+        this.y = hangY;
+        
+        if (this.keys.up && this.hasReleasedJump) {
+            this.climbTimer = this.climbDuration;
+            this.hasReleasedJump = false;
+        } else if (this.keys.down) {
+            this.releaseLedge();
+        }
+    }
+    
+    /**
+     * Where we end up standing after climbing onto a ledge
+     */
+    getLedgeTopPosition(platform, side) {
+        return {
+            x: side > 0 ? platform.x : platform.x + platform.width - this.width,
+            y: platform.y - this.height
+        };
+    }
+    
+    /**
+     * Let go of the ledge and fall
+     */
+    releaseLedge() {
+        this.ledge = null;
+        this.ledgeSide = 0;
+        this.climbTimer = 0;
+        this.standingOn = null;
+        this.ledgeRegrabDelay = this.ledgeRegrabFrames;
+    }
+    
+    /**
+     * Do whatever a jump press does right now
+     * @returns {boolean} True if something happened (otherwise the press stays buffered)
+     */
+    tryJump() {
+        if (this.inWater) {
+            // Every press is a swim stroke
+            this.swimStroke();
+        } else if (this.keys.down && this.isGrounded && this.standingOn &&
+                   window.collisionDetection.isOneWay(this.standingOn)) {
+            // Down + jump drops through a one-way platform
+            this.dropThroughPlatform();
+        } else if (this.isGrounded || this.coyoteTime < this.coyoteTimeMax) {
+            // Can jump if grounded OR within coyote time
+            this.jump();
+        } else if (this.wallDirection !== 0) {
+            // Kick off the wall we're sliding on
+            this.wallJump();
+        } else if (this.airJumpsRemaining > 0 && this.hasAbility('doubleJump')) {
+            // Second jump in mid-air
+            this.doubleJump();
         } else {
-            this.idleTimer = 0;
+            return false;
         }
+        return true;
     }
     
     /**
@@ -246,6 +838,195 @@ class Player {
     jump() {
         this.speedY = window.physics.playerJumpPower;
         this.isGrounded = false;
+        this.coyoteTime = this.coyoteTimeMax;  // Coyote jump is used up
+        this.jumpCuttable = true;
+    }
+    
+    /**
+     * Fall through the one-way platform we're standing on
+     */
+    dropThroughPlatform() {
+        window.collisionDetection.startDropThrough(this, this.standingOn);
+        this.coyoteTime = this.coyoteTimeMax;  // No coyote jump back onto it
+    }
+    
+    /**
+     * Kick upward in water - weaker than a jump, but works as often as you press
+     * Stroking at the surface pops you out with a buoyant jump
+     */
+    swimStroke() {
+        // Head above the surface - leap out like a normal jump
+        const atSurface = this.waterSurfaceY !== null && this.y < this.waterSurfaceY;
+        this.speedY = atSurface ? window.physics.playerJumpPower : window.physics.swimPower;
+        this.isGrounded = false;
+        this.refreshAirJumps();
+    }
+    
+    /**
+     * Spend Pope Blood to start flying (Pope rank)
+     */
+    startFlight() {
+        if (this.isFlying || !this.hasAbility('flight') || !window.gameEngine) return;
+        
+        const stats = window.gameEngine.playerStats;
+        if (stats.popeBlood < window.physics.flightBloodCost) {
+            window.gameEngine.collectiblesManager.showToast('Not enough Pope Blood to fly!');
+            return;
+        }
+        
+        stats.popeBlood -= window.physics.flightBloodCost;
+        this.isFlying = true;
+        this.flightTimer = window.physics.flightDuration;
+        this.flightFlashing = false;
+        this.isGrounded = false;
+    }
+    
+    /**
+     * Vertical control and flight timer (replaces gravity while flying)
+     */
+    updateFlight() {
+        const physics = window.physics;
+        
+        // Up/down accelerate, otherwise hover in place
+        let verticalInput = 0;
+        if (this.keys.up) verticalInput = -1;
+        if (this.keys.down) verticalInput = 1;
+        
+        if (verticalInput !== 0) {
+            this.speedY += verticalInput * physics.flightAcceleration;
+        } else {
+            this.speedY *= 0.85;
+        }
+        this.speedY = Math.max(-physics.flightSpeed, Math.min(physics.flightSpeed, this.speedY));
+        
+        this.flightTimer--;
+        
+        // Warning flash in last 3 seconds (same timing as power-ups)
+        this.flightFlashing = this.flightTimer <= 180 && this.flightTimer % 30 < 15;
+        
+        if (this.flightTimer <= 0) {
+            this.endFlight();
+        }
+    }
+    
+    /**
+     * Stop flying - gravity takes over again
+     */
+    endFlight() {
+        this.isFlying = false;
+        this.flightTimer = 0;
+        this.flightFlashing = false;
+    }
+    
+    /**
+     * Jump away from the wall we're touching
+     */
+    wallJump() {
+        this.speedY = window.physics.wallJumpPower;
+        this.speedX = -this.wallDirection * window.physics.wallJumpPushX;
+        this.facingRight = this.wallDirection < 0;
+        this.wallJumpLockout = window.physics.wallJumpLockout;
+        this.wallDirection = 0;
+        this.jumpCuttable = true;
+    }
+    
+    /**
+     * Record wall contact (called from collision detection)
+     * @param {number} direction - 1 if the wall is on the right, -1 if on the left
+     */
+    setWallContact(direction) {
+        this.wallDirection = direction;
+    }
+    
+    /**
+     * Mid-air second jump with a front flip
+     */
+    doubleJump() {
+        this.speedY = window.physics.doubleJumpPower;
+        this.airJumpsRemaining--;
+        this.jumpCuttable = true;
+        this.startFrontFlip();
+    }
+    
+    /**
+     * Start the front flip animation
+     */
+    startFrontFlip() {
+        this.flipTimer = this.flipDuration;
+        this.flipRotation = 0;
+    }
+    
+    /**
+     * Give back the mid-air jump (landing, bounce pads, enemy stomps)
+     */
+    refreshAirJumps() {
+        this.airJumpsRemaining = this.maxAirJumps;
+    }
+    
+    /**
+     * Bounce off a stomped enemy - flips and refreshes the double jump
+     */
+    bounceOffEnemy() {
+        this.speedY = window.physics.enemyBouncePower;
+        this.isGrounded = false;
+        this.refreshAirJumps();
+        if (this.hasAbility('doubleJump')) {
+            this.startFrontFlip();
+        }
+    }
+    
+    /**
+     * Start a crozier swing
+     */
+    startAttack() {
+        if (!this.hasAbility('frontAttack')) return;  // Archbishop rank and above
+        if (this.isAttacking || this.attackCooldown > 0) return;
+        
+        this.isAttacking = true;
+        this.attackTimer = 0;
+        this.attackHitEnemies.clear();
+    }
+    
+    /**
+     * Advance the swing and hit enemies during the active frames
+     */
+    updateAttack() {
+        if (this.attackCooldown > 0) {
+            this.attackCooldown--;
+        }
+        
+        if (!this.isAttacking) return;
+        
+        this.attackTimer++;
+        
+        const hitbox = this.getAttackHitbox();
+        if (hitbox && window.enemyManager) {
+            window.enemyManager.checkPlayerMelee(hitbox, this);
+        }
+        
+        if (this.attackTimer >= this.attackDuration) {
+            this.isAttacking = false;
+            this.attackCooldown = this.attackCooldownMax;
+        }
+    }
+    
+    /**
+     * Get the attack hitbox in front of the player
+     * @returns {Object|null} Rectangle during active frames, otherwise null
+     */
+    getAttackHitbox() {
+        if (!this.isAttacking ||
+            this.attackTimer < this.attackActiveStart ||
+            this.attackTimer > this.attackActiveEnd) {
+            return null;
+        }
+        
+        return {
+            x: this.facingRight ? this.x + this.width : this.x - this.attackRange,
+            y: this.y + this.height * 0.25,
+            width: this.attackRange,
+            height: this.height * 0.5
+        };
     }
     
     /**
@@ -255,6 +1036,60 @@ class Player {
         // Don't change state if dying
         if (this.state === 'dying') return;
         
+        // Flying overrides the airborne states
+        if (this.isFlying) {
+            this.state = 'flying';
+            return;
+        }
+        
+        // Hanging from or climbing onto a ledge
+        if (this.ledge) {
+            this.state = this.climbTimer > 0 ? 'climbingLedge' : 'ledgeHanging';
+            return;
+        }
+        
+        // On a ladder or vine
+        if (this.climbZone) {
+            this.state = 'climbing';
+            return;
+        }
+        
+        // Crozier swing
+        if (this.isAttacking) {
+            this.state = 'attacking';
+            return;
+        }
+        
+        // Swimming replaces the airborne states underwater
+        if (this.inWater && !this.isGrounded) {
+            this.state = 'swimming';
+            return;
+        }
+        
+        // Front flip plays out before other airborne states
+        if (this.flipTimer > 0 && !this.isGrounded) {
+            this.state = 'frontFlip';
+            return;
+        }
+        
+        // Sliding down a wall
+        if (this.wallDirection !== 0 && !this.isGrounded && this.speedY > 0) {
+            this.state = 'wallSliding';
+            return;
+        }
+        
+        // Ducking, or sliding along on our knees
+        if (this.isCrouching) {
+            this.state = this.isCrouchSliding ? 'crouchSliding' : 'crouching';
+            return;
+        }
+        
+        // Standing still right at an edge
+        if (this.edgeBalance !== 'stable' && this.isGrounded && Math.abs(this.speedX) <= 0.5) {
+            this.state = 'teetering';
+            return;
+        }
+        
         // Determine current state
         if (this.speedY < -0.5) {  // Add threshold for jumping
             this.state = 'jumping';
@@ -316,19 +1151,136 @@ class Player {
                 this.currentFrame = this.frames.fall;
                 this.animationTimer = 0;
                 break;
+                
+            case 'flying':
+                this.currentFrame = this.frames.jump;
+                this.animationTimer = 0;
+                break;
+                
+            case 'attacking':
+                this.currentFrame = this.frames.attack;
+                this.animationTimer = 0;
+                break;
+                
+            case 'swimming':
+                this.currentFrame = this.speedY < 0 ? this.frames.swimStroke : this.frames.swimSink;
+                this.animationTimer = 0;
+                break;
+                
+            case 'wallSliding':
+                // Face away from the wall while sliding
+                this.currentFrame = this.frames.wallSlide;
+                this.facingRight = this.wallDirection < 0;
+                this.animationTimer = 0;
+                break;
+                
+            case 'crouching':
+                this.currentFrame = this.frames.crouch;
+                this.animationTimer = 0;
+                break;
+                
+            case 'crouchSliding':
+                this.currentFrame = this.frames.crouchSlide;
+                this.animationTimer = 0;
+                break;
+                
+            case 'teetering':
+                // Windmill arms, facing out over the drop
+                this.facingRight = this.edgeBalance === 'rightEdge';
+                this.animationTimer += this.teeterAnimationSpeed;
+                if (this.animationTimer >= 1) {
+                    this.currentFrame = (this.currentFrame === this.frames.teeter1)
+                        ? this.frames.teeter2
+                        : this.frames.teeter1;
+                    this.animationTimer = 0;
+                }
+                if (this.currentFrame !== this.frames.teeter1 && this.currentFrame !== this.frames.teeter2) {
+                    this.currentFrame = this.frames.teeter1;
+                }
+                break;
+                
+            case 'ledgeHanging':
+            case 'climbingLedge':
+                this.updateLedgeAnimation();
+                break;
+                
+            case 'climbing':
+                // Hand over hand, only while actually moving
+                if (this.keys.up || this.keys.down || this.keys.left || this.keys.right) {
+                    this.animationTimer += this.climbAnimationSpeed;
+                }
+                if (this.animationTimer >= 1) {
+                    this.currentFrame = (this.currentFrame === this.frames.climb1)
+                        ? this.frames.climb2
+                        : this.frames.climb1;
+                    this.animationTimer = 0;
+                }
+                if (this.currentFrame !== this.frames.climb1 && this.currentFrame !== this.frames.climb2) {
+                    this.currentFrame = this.frames.climb1;
+                }
+                break;
+                
+            case 'frontFlip':
+                // One full forward rotation over the flip duration
+                this.currentFrame = this.frames.frontFlip;
+                this.flipTimer--;
+                this.flipRotation = (1 - this.flipTimer / this.flipDuration) * Math.PI * 2;
+                this.animationTimer = 0;
+                break;
+        }
+        
+        // Cancel a flip that was interrupted (e.g. landed early)
+        if (this.state !== 'frontFlip') {
+            this.flipTimer = 0;
+            this.flipRotation = 0;
         }
     }
     
+    /**
+     * Ledge animation - face the wall, arms up while hanging, then haul up over the edge
+     */
+    updateLedgeAnimation() {
+        this.facingRight = this.ledgeSide > 0;
+        this.currentFrame = this.state === 'climbingLedge' ? this.frames.ledgeClimb : this.frames.ledgeHang;
+        this.animationTimer = 0;
+    }
+    
     /**
      * Shoot holy water projectile
      */
     shoot() {
+        if (!this.hasAbility('projectile')) return;  // Cardinal rank (or Holy Water power-up)
+        
         if (this.projectiles.length >= this.maxProjectiles || this.lastShotTime > 0) {
             return;  // Can't shoot
         }
         
         // Calculate projectile power based on charge
-        const chargePower = this.chargeTime / this.maxChargeTime;
+        let chargePower = this.chargeTime / this.maxChargeTime;
+        
+        // Spend holy water - charged shots cost more
+        if (window.gameEngine) {
+            const stats = window.gameEngine.playerStats;
+            let cost = this.getHolyWaterCost(chargePower);
+            
+            // Not enough for a charged shot - fire a normal one instead
+            if (stats.holyWater < cost) {
+                chargePower = 0;
+                cost = this.holyWaterCost;
+            }
+            
+            if (stats.holyWater < cost) {
+                window.gameEngine.collectiblesManager.showToast('Out of holy water!');
+                return;
+            }
+            
+            stats.holyWater -= cost;
+            
+            // Holy Water power-up shots are used up
+            if (stats.holyWater < this.holyWaterCost) {
+                this.powerUpAbilities.delete('projectile');
+            }
+        }
         const minSpeed = 5;
         const maxSpeed = 15;
         const speed = minSpeed + (maxSpeed - minSpeed) * chargePower;
@@ -349,6 +1301,14 @@ class Player {
         this.lastShotTime = this.shotCooldown;
     }
     
+    /**
+     * Holy water cost of a shot
+     * @param {number} chargePower - 0 (tap) to 1 (full charge)
+     */
+    getHolyWaterCost(chargePower) {
+        return Math.round(this.holyWaterCost + (this.chargedHolyWaterCost - this.holyWaterCost) * chargePower);
+    }
+    
     /**
      * Update all projectiles
      */
@@ -356,21 +1316,26 @@ class Player {
         for (let i = this.projectiles.length - 1; i >= 0; i--) {
             const proj = this.projectiles[i];
             
-            // Update position
-            proj.x += proj.speedX;
-            proj.y += proj.speedY;
+            // Update position in small steps so fast shots can't skip enemies or walls
+            const steps = window.collisionDetection.getSubsteps(proj);
+            const platforms = window.collisionDetection.getNearbyPlatforms(proj);
+            let hit = false;
+            for (let step = 0; step < steps && !hit; step++) {
+                proj.x += proj.speedX / steps;
+                proj.y += proj.speedY / steps;
+                
+                // Check if hit enemy, then walls
+                hit = (window.enemyManager && window.enemyManager.checkPlayerProjectile(proj)) ||
+                      window.collisionDetection.hitsSolidPlatform(proj, platforms);
+            }
             proj.speedY += 0.3;  // Gravity effect
             
             // Update lifetime
             proj.lifetime--;
             
-            // Check if hit enemy
-            if (window.enemyManager) {
-                const hit = window.enemyManager.checkPlayerProjectile(proj);
-                if (hit) {
-                    this.projectiles.splice(i, 1);
-                    continue;
-                }
+            if (hit) {
+                this.projectiles.splice(i, 1);
+                continue;
             }
             
             // Remove if expired or off screen
@@ -412,6 +1377,21 @@ class Player {
             ctx.globalAlpha = 0.5;
         }
         
+        // Holy glow while flying - flashes before flight runs out
+        if (this.isFlying && !this.flightFlashing) {
+            ctx.fillStyle = 'rgba(255, 215, 0, 0.3)';
+            ctx.fillRect(this.x - 6, this.y - 6, this.width + 12, this.height + 12);
+        }
+        
+        // Rotate around the center while front flipping
+        if (this.state === 'frontFlip') {
+            const centerX = this.x + this.width / 2;
+            const centerY = this.y + this.height / 2;
+            ctx.translate(centerX, centerY);
+            ctx.rotate(this.facingRight ? this.flipRotation : -this.flipRotation);
+            ctx.translate(-centerX, -centerY);
+        }
+        
         if (this.spriteLoaded) {
             // Handle sprite flipping for direction
             if (!this.facingRight) {
@@ -446,6 +1426,24 @@ class Player {
             ctx.fillRect(eyeX, eyeY, 7, 7);
         }
         
+        // Draw crozier swing - sweeps from overhead to forward
+        if (this.isAttacking) {
+            const progress = this.attackTimer / this.attackDuration;
+            const handX = this.facingRight ? this.x + this.width - 8 : this.x + 8;
+            const handY = this.y + this.height * 0.4;
+            const angle = -Math.PI / 2 + progress * Math.PI * 0.75;
+            const reach = this.attackRange + 8;
+            const tipX = handX + Math.cos(angle) * reach * (this.facingRight ? 1 : -1);
+            const tipY = handY + Math.sin(angle) * reach;
+            
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 4;
+            ctx.beginPath();
+            ctx.moveTo(handX, handY);
+            ctx.lineTo(tipX, tipY);
+            ctx.stroke();
+        }
+        
         // Draw charge indicator when charging
         if (this.isCharging && this.chargeTime > 0) {
             const chargePercent = this.chargeTime / this.maxChargeTime;
@@ -470,6 +1468,14 @@ class Player {
             ctx.fillStyle = 'black';
             ctx.font = '12px Arial';
             ctx.fillText(this.state, this.x - 10, this.y - 5);
+            
+            // Attack hitbox
+            const hitbox = this.getAttackHitbox();
+            if (hitbox) {
+                ctx.strokeStyle = 'red';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(hitbox.x, hitbox.y, hitbox.width, hitbox.height);
+            }
         }
         
         // Draw projectiles
@@ -492,6 +1498,7 @@ class Player {
         this.isGrounded = grounded;
         if (grounded) {
             this.speedY = 0;
+            this.refreshAirJumps();
         }
     }
 }
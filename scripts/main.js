@@ -9,10 +9,15 @@ let canvas;
 let ctx; // ctx stands for "context" - our drawing tool
 let lastTime = 0; // For calculating FPS
 let fps = 0; // Frames per second counter
+let accumulator = 0; // Time waiting to be simulated (ms)
+const maxFrameTime = 250; // Don't try to catch up on more than this after a stall (tab switch, breakpoint)
 let physics; // Physics system
 let collisionDetection; // Collision system
 let gameEngine; // Main game engine
 let enemyManager; // Enemy management system
+let hazardManager; // Hazard (spikes, pits) system
+let platformManager; // Moving platform system
+let zoneManager; // Water, wind, low gravity and conveyor zones
 
 // Player object - will be initialized after loading player.js
 let player;
@@ -50,6 +55,18 @@ function init() {
     // Create enemy manager
     window.enemyManager = new EnemyManager();
     enemyManager = window.enemyManager;
+    
+    // Create platform manager
+    window.platformManager = new PlatformManager();
+    platformManager = window.platformManager;
+    
+    // Create hazard manager
+    window.hazardManager = new HazardManager();
+    hazardManager = window.hazardManager;
+    
+    // Create physics zone manager
+    window.zoneManager = new ZoneManager();
+    zoneManager = window.zoneManager;
 
     // Add this to your main.js file where you create other managers:
     // Create the collectibles manager
@@ -95,32 +112,40 @@ function init() {
 }
 
 /**
- * Main game loop - runs 60 times per second
+ * Main game loop - draws every animation frame, but updates at a fixed 60 ticks per second
  * @param {number} currentTime - Time in milliseconds
  */
 function gameLoop(currentTime) {
     // Calculate FPS (frames per second)
-    if (lastTime !== 0) {
-        fps = Math.round(1000 / (currentTime - lastTime));
+    const frameTime = lastTime !== 0 ? currentTime - lastTime : 0;
+    if (frameTime > 0) {
+        fps = Math.round(1000 / frameTime);
     }
     lastTime = currentTime;
     
     // Clear the entire canvas for fresh drawing
     // ctx.clearRect(0, 0, canvas.width, canvas.height);
     
-    // Update game logic
-    update();
+    // Run as many fixed ticks as the elapsed time covers
+    // (none on some frames at 120/144 Hz, two on some at 30-50 Hz)
+    const stepMs = physics.timeStep * 1000;
+    accumulator += Math.min(frameTime, maxFrameTime);
+    while (accumulator >= stepMs) {
+        gameEngine.saveInterpolationState();
+        update();
+        accumulator -= stepMs;
+    }
     
-    // Draw everything
-    draw();
+    // Draw everything, blended between the last two ticks
+    draw(accumulator / stepMs);
     
-    // Request next frame (this creates our 60 FPS loop)
+    // Request next frame
     requestAnimationFrame(gameLoop);
 }
 
 /**
  * Update all game logic
- * This is called 60 times per second
+ * This is called once per fixed tick (60 times per second)
  */
 function update() {
     // Let game engine handle everything
@@ -128,44 +153,22 @@ function update() {
     
     // Only update player and physics when actually playing
     if (gameEngine.currentState === gameEngine.states.PLAYING) {
-        // Update player (physics are now applied inside player.update())
+        // Update player (physics and platform collisions are applied inside player.update())
         player.update();
         
-        // Get platforms from current level
-        const levelPlatforms = gameEngine.currentLevel ? 
-            gameEngine.currentLevel.platforms : [];
-        
-        // Check collisions with all platforms for PLAYER ONLY
-        levelPlatforms.forEach(platform => {
-            const collision = collisionDetection.checkRectCollision(player, platform);
-            if (collision) {
-                collisionDetection.handlePlatformCollision(player, platform, collision);
-            }
-        });
-        
-        // Update moving platforms
-        levelPlatforms.forEach(platform => {
-            const platType = collisionDetection.platformTypes[platform.type];
-            if (platType && platType.dirX !== undefined) {
-                // Move the platform
-                platform.x += platType.dirX * platType.speed;
-                
-                // Reverse at boundaries (temporary)
-                if (platform.x < 0 || platform.x + platform.width > gameEngine.currentLevel.pixelWidth) {
-                    platType.dirX *= -1;
-                }
-            }
-        });
+        // Update moving platforms (carries the player and enemies riding them)
+        platformManager.update();
     }
 }
 
 /**
  * Draw all game elements
- * This is called 60 times per second
+ * This is called once per animation frame
+ * @param {number} alpha - How far we are between the last tick and the next (0-1)
  */
-function draw() {
+function draw(alpha) {
     // Let game engine handle all rendering
-    gameEngine.render();
+    gameEngine.render(alpha);
     
     // Draw debug info (FPS) - now part of game engine HUD
     if (gameEngine.debug.showStats && gameEngine.currentState === gameEngine.states.PLAYING) {
@@ -5,6 +5,9 @@ class CollectiblesManager {
         // All active collectibles in the level
         this.collectibles = [];
         
+        // Spatial grid of uncollected items so pickups only check the ones near the player (built in init)
+        this.collectibleGrid = null;
+        
         // Animation timers
         this.animationTimer = 0;
         
@@ -94,6 +97,24 @@ class CollectiblesManager {
                 sound: 'holy',
                 particleColor: '#FF0000'
             },
+            holyWaterFlask: {
+                width: 16,
+                height: 24,
+                value: 30, // Holy water refilled
+                sprite: null, // Uses drawn graphic
+                animation: 'float',
+                sound: 'splash',
+                particleColor: '#00A2FF'
+            },
+            holyWater: {
+                width: 24,
+                height: 28,
+                value: 10, // Shots granted
+                sprite: null, // Uses drawn graphic
+                animation: 'pulse',
+                sound: 'powerup',
+                particleColor: '#00A2FF'
+            },
             keysOfPeter: {
                 width: 20,
                 height: 32,
@@ -110,7 +131,7 @@ class CollectiblesManager {
         
         // Sound pitch for escalation
         this.coinPitch = 1.0;
-        this.lastCoinTime = 0;
+        this.lastCoinTick = -Infinity;  // animationTimer when the last coin was grabbed
     }
     
     /**
@@ -118,6 +139,7 @@ class CollectiblesManager {
      */
     init(levelData) {
         this.collectibles = [];
+        this.collectibleGrid = window.collisionDetection.createGrid();
         this.collectionEffects = [];
         this.animationTimer = 0;
         
@@ -136,7 +158,7 @@ class CollectiblesManager {
         // Spawn collectibles from level data
         if (levelData.collectibles) {
             levelData.collectibles.forEach(item => {
-                this.spawnCollectible(item.type, item.x, item.y, item.properties);
+                this.spawnCollectible(item.type, item.x, item.y, { floating: item.floating, ...item.properties });
                 
                 // Track totals
                 if (item.type === 'tithe') this.levelTithesTotal++;
@@ -149,6 +171,7 @@ class CollectiblesManager {
     
     /**
      * Spawn a collectible
+     * Pickups float by default - pass floating: false for one that falls and lands on platforms
      */
     spawnCollectible(type, x, y, properties = {}) {
         const config = this.collectibleTypes[type];
@@ -168,10 +191,17 @@ class CollectiblesManager {
             collected: false,
             animationOffset: Math.random() * Math.PI * 2, // Random start phase
             spriteFrame: 0, // Current animation frame
+            layer: properties.floating === false ? 'powerup_grounded' : 'powerup_floating',
+            speedX: 0,
+            speedY: 0,
+            grounded: false,
             ...properties
         };
         
         this.collectibles.push(collectible);
+        if (this.collectibleGrid) {
+            window.collisionDetection.insertIntoGrid(this.collectibleGrid, collectible);
+        }
         return collectible;
     }
     
@@ -184,7 +214,15 @@ class CollectiblesManager {
         // Update collectible animations
         this.collectibles.forEach(item => {
             if (!item.collected) {
-                this.updateAnimation(item);
+                // Grounded pickups fall until they land, then bob like the rest
+                if (item.layer === 'powerup_grounded' && !item.grounded) {
+                    this.updateFalling(item);
+                } else {
+                    this.updateAnimation(item);
+                }
+                if (this.collectibleGrid) {
+                    window.collisionDetection.moveInGrid(this.collectibleGrid, item);
+                }
                 
                 // Update sprite animation frame
                 const config = this.collectibleTypes[item.type];
@@ -208,6 +246,27 @@ class CollectiblesManager {
         this.checkPlayerCollection();
     }
     
+    /**
+     * Drop a grounded pickup until it lands on a platform
+     */
+    updateFalling(item) {
+        const collisionDetection = window.collisionDetection;
+        window.physics.applyGravity(item);
+        
+        collisionDetection.moveAndCollide(item, collisionDetection.getNearbyPlatforms(item), (platform, collision) => {
+            if (platform.disabled || item.grounded || item.speedY < 0) return;
+            
+            // Only land on tops - pickups don't bump into walls or ceilings
+            const top = collision.oriented ? collision.surfaceY : platform.y;
+            if (item.y + item.height - top > collisionDetection.maxStepDistance) return;
+            
+            item.y = top - item.height;
+            item.speedY = 0;
+            item.grounded = true;
+            item.baseY = item.y - 5;  // Bob just above the floor
+        });
+    }
+    
     /**
      * Update collectible animation
      */
@@ -254,8 +313,11 @@ class CollectiblesManager {
         const player = window.player;
         if (!player) return;
         
-        this.collectibles.forEach(item => {
-            if (item.collected) return;
+        const nearby = this.collectibleGrid ?
+            window.collisionDetection.queryGrid(this.collectibleGrid, player) : this.collectibles;
+        
+        nearby.forEach(item => {
+            if (item.collected || !window.collisionDetection.canCollide(player, item)) return;
             
             // Check collision with player
             if (player.x < item.x + item.width &&
@@ -273,6 +335,9 @@ class CollectiblesManager {
      */
     collectItem(item) {
         item.collected = true;
+        if (this.collectibleGrid) {
+            window.collisionDetection.removeFromGrid(this.collectibleGrid, item);
+        }
         const config = this.collectibleTypes[item.type];
         
         // Handle different collectible types
@@ -314,6 +379,17 @@ class CollectiblesManager {
                 }
                 break;
                 
+            case 'holyWaterFlask':
+                if (window.gameEngine) {
+                    const stats = window.gameEngine.playerStats;
+                    stats.holyWater = Math.min(stats.maxHolyWater, stats.holyWater + item.value);
+                }
+                break;
+                
+            case 'holyWater':
+                this.grantHolyWaterShots(item.value);
+                break;
+                
             case 'keysOfPeter':
                 // Will unlock bonus area
                 this.showToast("Keys of Peter obtained!");
@@ -331,13 +407,14 @@ class CollectiblesManager {
      * Update coin pitch for escalation effect
      */
     updateCoinPitch() {
-        const now = Date.now();
-        if (now - this.lastCoinTime < 500) { // Within 500ms
+        // Count in game ticks, not wall time, so pausing or a slow frame doesn't reset the streak
+        const now = this.animationTimer;
+        if (now - this.lastCoinTick < 30) { // Within half a second
             this.coinPitch = Math.min(2.0, this.coinPitch + 0.1);
         } else {
             this.coinPitch = 1.0;
         }
-        this.lastCoinTime = now;
+        this.lastCoinTick = now;
     }
     
     /**
@@ -357,6 +434,7 @@ class CollectiblesManager {
                 if (window.player) {
                     window.player.maxSpeed *= 1.5;
                     window.player.jumpPower *= 1.3;
+                    window.player.powerUpAbilities.add('doubleJump');
                 }
                 this.showToast("Speed and Jump Boost!");
                 break;
@@ -371,6 +449,24 @@ class CollectiblesManager {
         }
     }
     
+    /**
+     * Holy Water power-up - fills the meter with shots and lets any rank shoot
+     * @param {number} shots - Number of shots granted
+     */
+    grantHolyWaterShots(shots) {
+        if (!window.gameEngine || !window.player) return;
+        
+        const stats = window.gameEngine.playerStats;
+        stats.holyWater = Math.min(stats.maxHolyWater, stats.holyWater + shots * window.player.holyWaterCost);
+        
+        // Ranks below Cardinal can shoot until the holy water runs out
+        if (!window.player.hasAbility('projectile')) {
+            window.player.powerUpAbilities.add('projectile');
+        }
+        
+        this.showToast(`Holy Water! ${shots} shots`);
+    }
+    
     /**
      * Update active power-ups
      */
@@ -412,6 +508,7 @@ class CollectiblesManager {
                 if (window.player) {
                     window.player.maxSpeed /= 1.5;
                     window.player.jumpPower /= 1.3;
+                    window.player.powerUpAbilities.delete('doubleJump');
                 }
                 break;
                 
@@ -584,6 +681,25 @@ class CollectiblesManager {
                 ctx.fill();
                 break;
                 
+            case 'holyWaterFlask':
+                // Draw small flask
+                ctx.fillStyle = '#E0E0E0';
+                ctx.fillRect(x + width/2 - 3, y, 6, height/4);
+                ctx.fillStyle = '#00A2FF';
+                ctx.fillRect(x + 1, y + height/4, width - 2, height * 3/4);
+                break;
+                
+            case 'holyWater':
+                // Draw vial with a cross
+                ctx.fillStyle = '#00A2FF';
+                ctx.fillRect(x + 2, y + height/4, width - 4, height * 3/4);
+                ctx.fillStyle = '#E0E0E0';
+                ctx.fillRect(x + width/2 - 4, y, 8, height/4);
+                ctx.fillStyle = '#FFFFFF';
+                ctx.fillRect(x + width/2 - 1, y + height/3, 2, height/2);
+                ctx.fillRect(x + width/2 - 5, y + height/2 - 2, 10, 2);
+                break;
+                
             case 'keysOfPeter':
                 // Draw key shape
                 ctx.fillStyle = '#FFD700';
@@ -9,6 +9,7 @@ class EnemyManager {
         this.enemyTypes = {
             'walker': EnemyWalker,
             'flyer': EnemyFlyer,
+            'ghost': EnemyGhost,
             // More types will be added here
         };
         
@@ -21,6 +22,9 @@ class EnemyManager {
         
         // Projectile system (for enemies that shoot)
         this.enemyProjectiles = [];
+        
+        // Spatial grid of enemies so hits only check the ones nearby (built in init)
+        this.enemyGrid = null;
     }
     
     /**
@@ -44,7 +48,8 @@ class EnemyManager {
                 window.gameEngine.collectiblesManager.spawnCollectible(
                     'tithe',
                     enemy.x + enemy.width/2 + offsetX - 8,
-                    enemy.y + enemy.height/2 - 8
+                    enemy.y + enemy.height/2 - 8,
+                    { floating: false }  // Drops fall to the ground
                 );
             }
         } else {
@@ -52,7 +57,8 @@ class EnemyManager {
             window.gameEngine.collectiblesManager.spawnCollectible(
                 'beer',
                 enemy.x + enemy.width/2 - 10,
-                enemy.y + enemy.height/2 - 12
+                enemy.y + enemy.height/2 - 12,
+                { floating: false }
             );
         }
     }
@@ -63,6 +69,7 @@ class EnemyManager {
     init(levelData) {
         this.enemies = [];
         this.enemyProjectiles = [];
+        this.enemyGrid = window.collisionDetection.createGrid();
         
         console.log('Enemy manager init with level:', levelData);
         console.log('Level has platforms:', levelData?.platforms?.length || 0);
@@ -98,6 +105,9 @@ class EnemyManager {
         
         const enemy = new EnemyClass(x, y, config);
         this.enemies.push(enemy);
+        if (this.enemyGrid) {
+            window.collisionDetection.insertIntoGrid(this.enemyGrid, enemy);
+        }
         this.totalEnemiesSpawned++;
         
         return enemy;
@@ -141,11 +151,18 @@ class EnemyManager {
             
             // Remove if marked for removal
             if (enemy.shouldRemove) {
-                // Spawn collectibles when enemy dies
-                this.spawnEnemyDrops(enemy);
+                // Spawn collectibles and count the kill (not when lost in a pit)
+                if (!enemy.lost) {
+                    this.spawnEnemyDrops(enemy);
+                    this.totalEnemiesDefeated++;
+                }
                 
                 this.enemies.splice(i, 1);
-                this.totalEnemiesDefeated++;
+                if (this.enemyGrid) {
+                    window.collisionDetection.removeFromGrid(this.enemyGrid, enemy);
+                }
+            } else if (this.enemyGrid) {
+                window.collisionDetection.moveInGrid(this.enemyGrid, enemy);
             }
         }
         
@@ -174,6 +191,21 @@ class EnemyManager {
         console.warn('Could not find platforms!');
         return [];
     }
+    
+    /**
+     * Get the enemies whose grid cells overlap a rectangle
+     */
+    getEnemiesNear(rect) {
+        if (!this.enemyGrid) return this.enemies;
+        return window.collisionDetection.queryGrid(this.enemyGrid, rect);
+    }
+    
+    /**
+     * Get slopes for the current level
+     */
+    getSlopes() {
+        return window.gameEngine?.currentLevel?.slopes || [];
+    }
 
     /**
      * Check all collisions
@@ -190,35 +222,11 @@ class EnemyManager {
             return;
         }
         
-        // FIXED: Get platforms from the correct location
-        const platforms = this.getPlatforms();
-        
-        // Debug: Log platform count once
-        if (!this.platformsLogged && platforms.length > 0) {
-            console.log('=== ENEMY COLLISION FIX ===');
-            console.log('Found', platforms.length, 'platforms for enemy collision');
-            console.log('First platform:', platforms[0]);
-            this.platformsLogged = true;
-        }
-        
-        this.enemies.forEach(enemy => {
-            // Skip dead enemies
-            if (enemy.isDead) return;
-            
-            // Enemy-platform collisions
-            if (enemy.collideWithPlatforms) {
-                // Reset grounded state for gravity-affected enemies
-                if (enemy.affectedByGravity) {
-                    enemy.isGrounded = false;
-                }
-                
-                platforms.forEach(platform => {
-                    const collision = collisionDetection.checkRectCollision(enemy, platform);
-                    if (collision) {
-                        enemy.onCollisionWithPlatform(platform, collision);
-                    }
-                });
-            }
+        // Enemy-platform collisions happen while enemies move (see EnemyBase.move),
+        // and enemy projectiles check the player as they move (see updateProjectiles)
+        this.getEnemiesNear(player).forEach(enemy => {
+            // Skip dead enemies, and any whose layer ignores the player
+            if (enemy.isDead || !collisionDetection.canCollide(enemy, player)) return;
             
             // Enemy-player collision
             const playerCollision = collisionDetection.checkRectCollision(enemy, player);
@@ -226,9 +234,6 @@ class EnemyManager {
                 this.handleEnemyPlayerCollision(enemy, player, playerCollision);
             }
         });
-        
-        // Check projectile collisions
-        this.checkProjectileCollisions();
     }
     
     /**
@@ -238,8 +243,8 @@ class EnemyManager {
         // Check if player is stomping from above
         if (player.speedY > 0 && player.y < enemy.y) {
             // Player stomps enemy
-            enemy.takeDamage(1, player.x);
-            player.speedY = -10; // Bounce player up
+            enemy.takeDamage(1, player.x, 'stomp');
+            player.bounceOffEnemy(); // Bounce player up (with front flip)
             
             // Add score
             if (window.gameEngine) {
@@ -276,10 +281,25 @@ class EnemyManager {
      * FIXED: Use the correct platform source
      */
     checkGroundAhead(x, y) {
-        const platforms = this.getPlatforms();
+        const platforms = window.collisionDetection.queryGrid(
+            window.collisionDetection.spatialGrid,
+            { x: x, y: y, width: 0, height: 50 }
+        );
+        
+        // Slopes count as ground
+        for (let slope of this.getSlopes()) {
+            if (x >= slope.x && 
+                x <= slope.x + slope.width &&
+                y <= slope.y + slope.height && 
+                y >= slope.y - 50) {
+                return true;
+            }
+        }
         
         // Check if any platform is below this point
         for (let platform of platforms) {
+            if (platform.disabled || platform.rotation !== undefined) continue;
+            
             // Check if the point is above the platform and within its horizontal bounds
             if (x >= platform.x && 
                 x <= platform.x + platform.width &&
@@ -296,12 +316,12 @@ class EnemyManager {
      * Handle player shooting at enemies
      */
     checkPlayerProjectile(projectile) {
-        for (let enemy of this.enemies) {
+        for (let enemy of this.getEnemiesNear(projectile)) {
             if (enemy.isDead) continue;
             
             const collision = window.collisionDetection.checkRectCollision(projectile, enemy);
             if (collision) {
-                const damaged = enemy.takeDamage(1, 'projectile');
+                const damaged = enemy.takeDamage(1, projectile.x, 'projectile');
                 if (damaged) {
                     // Add score
                     if (window.gameEngine) {
@@ -316,37 +336,67 @@ class EnemyManager {
     }
     
     /**
-     * Update enemy projectiles
+     * Handle player melee (crozier) attacks on enemies
+     * @param {Object} hitbox - Attack rectangle in front of the player
+     * @param {Object} attacker - The player (for knockback direction and hit tracking)
+     * @returns {number} Number of enemies hit
      */
-    updateProjectiles() {
-        // Update and remove projectiles that go off screen
-        for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
-            const proj = this.enemyProjectiles[i];
+    checkPlayerMelee(hitbox, attacker) {
+        let hits = 0;
+        
+        for (let enemy of this.getEnemiesNear(hitbox)) {
+            if (!enemy.isAlive) continue;
             
-            proj.x += proj.speedX;
-            proj.y += proj.speedY;
+            // Each swing can only hit an enemy once
+            if (attacker.attackHitEnemies.has(enemy)) continue;
             
-            // Remove if off screen
-            if (proj.x < -100 || proj.x > 2000 || proj.y < -100 || proj.y > 1000) {
-                this.enemyProjectiles.splice(i, 1);
+            const collision = window.collisionDetection.checkRectCollision(hitbox, enemy);
+            if (collision) {
+                attacker.attackHitEnemies.add(enemy);
+                const damaged = enemy.takeDamage(attacker.attackDamage, attacker.x + attacker.width / 2, 'melee');
+                if (damaged) {
+                    hits++;
+                    // Add score
+                    if (window.gameEngine) {
+                        window.gameEngine.playerStats.score += 75;
+                    }
+                }
             }
         }
+        
+        return hits;
     }
     
     /**
-     * Check projectile collisions
+     * Update enemy projectiles
      */
-    checkProjectileCollisions() {
+    updateProjectiles() {
         const player = window.player;
-        if (!player || player.invulnerable) return;
         
-        // Check enemy projectiles hitting player
+        // Update and remove projectiles that hit something or go off screen
         for (let i = this.enemyProjectiles.length - 1; i >= 0; i--) {
             const proj = this.enemyProjectiles[i];
             
-            const collision = window.collisionDetection.checkRectCollision(proj, player);
-            if (collision) {
-                this.damagePlayer(proj.damage || 10);
+            // Move in small steps so fast shots can't skip the player or walls
+            const steps = window.collisionDetection.getSubsteps(proj);
+            const platforms = window.collisionDetection.getNearbyPlatforms(proj);
+            let hit = false;
+            for (let step = 0; step < steps && !hit; step++) {
+                proj.x += proj.speedX / steps;
+                proj.y += proj.speedY / steps;
+                
+                // Check enemy projectiles hitting player
+                if (player && !player.invulnerable &&
+                    window.collisionDetection.checkRectCollision(proj, player)) {
+                    this.damagePlayer(proj.damage || 10);
+                    hit = true;
+                } else if (window.collisionDetection.hitsSolidPlatform(proj, platforms)) {
+                    hit = true;
+                }
+            }
+            
+            // Remove if it hit or went off screen
+            if (hit || proj.x < -100 || proj.x > 2000 || proj.y < -100 || proj.y > 1000) {
                 this.enemyProjectiles.splice(i, 1);
             }
         }
@@ -408,6 +458,7 @@ class EnemyManager {
     clear() {
         this.enemies = [];
         this.enemyProjectiles = [];
+        this.enemyGrid = null;
     }
 }
 
@@ -0,0 +1,184 @@
+// hazard-manager.js - Checks spikes, death tiles and bottomless pits against the player and enemies
+
+class HazardManager {
+    constructor() {
+        // All hazards in the current level
+        this.hazards = [];
+
+        // Default behavior per hazard type (level config overrides these)
+        this.hazardTypes = {
+            damage_tile: { damage: 25, instantDeath: false, color: '#C0C0C0' },
+            death_tile: { damage: 100, instantDeath: false, color: '#8B0000' },
+            bottomless_pit: { damage: 0, instantDeath: true, color: '#000000' },
+
+            // Chicago street hazards
+            dibs_chair: { damage: 10, instantDeath: false, color: '#4169E1' },
+            construction_cone: { damage: 10, instantDeath: false, color: '#FF8C00' },
+            rat_hole: { damage: 25, instantDeath: false, color: '#2F2F2F' }
+        };
+
+        // Player knockback when hurt by a hazard
+        this.knockbackX = 6;
+        this.knockbackY = -8;
+        this.invulnerabilityFrames = 60;  // 1 second, same as enemy hits
+
+        // Tile size for hazards that don't declare their own size
+        this.tileSize = 32;
+    }
+
+    /**
+     * Initialize hazards for a level
+     */
+    init(levelData) {
+        this.hazards = (levelData.hazards || []).map(hazard => this.createHazard(hazard));
+        console.log(`Hazards initialized: ${this.hazards.length}`);
+    }
+
+    /**
+     * Build a runtime hazard from level data
+     * Tiled tiles put settings in config, Tiled object properties land on the hazard itself
+     */
+    createHazard(data) {
+        const defaults = this.hazardTypes[data.type] || this.hazardTypes.damage_tile;
+        const config = data.config || {};
+
+        let damage = defaults.damage;
+        if (config.damage !== undefined) damage = config.damage;
+        if (data.damage !== undefined) damage = data.damage;
+
+        return {
+            x: data.x,
+            y: data.y,
+            width: data.width || this.tileSize,
+            height: data.height || this.tileSize,
+            type: data.type,
+            damage: damage,
+            instantDeath: config.instant_death || data.instant_death || defaults.instantDeath,
+            color: defaults.color
+        };
+    }
+
+    /**
+     * Check the player and enemies against every hazard
+     */
+    update() {
+        const player = window.player;
+
+        this.hazards.forEach(hazard => {
+            // Player
+            if (player && player.state !== 'dying' &&
+                window.collisionDetection.checkRectCollision(player, hazard)) {
+                this.hurtPlayer(player, hazard);
+            }
+
+            // Enemies
+            if (window.enemyManager) {
+                window.enemyManager.enemies.forEach(enemy => {
+                    // Ghosts and other hazard-proof enemies drift over spikes and pits
+                    if (!enemy.vulnerabilities.includes('hazard')) return;
+
+                    if (enemy.isAlive && window.collisionDetection.checkRectCollision(enemy, hazard)) {
+                        this.hurtEnemy(enemy, hazard);
+                    }
+                });
+            }
+        });
+    }
+
+    /**
+     * Apply hazard damage to the player
+     */
+    hurtPlayer(player, hazard) {
+        if (!window.gameEngine) return;
+
+        // Pits and death tiles with instant_death ignore invulnerability
+        if (hazard.instantDeath) {
+            window.gameEngine.playerDeath();
+            return;
+        }
+
+        if (player.invulnerable) return;
+
+        const stats = window.gameEngine.playerStats;
+        stats.health -= hazard.damage;
+        player.invulnerable = true;
+        player.invulnerabilityTime = this.invulnerabilityFrames;
+
+        // Knock the player up and away from the hazard
+        const knockbackDir = player.x + player.width / 2 < hazard.x + hazard.width / 2 ? -1 : 1;
+        player.speedX = knockbackDir * this.knockbackX;
+        player.speedY = this.knockbackY;
+        player.isGrounded = false;
+
+        if (stats.health <= 0) {
+            window.gameEngine.playerDeath();
+        }
+    }
+
+    /**
+     * Apply hazard damage to an enemy
+     */
+    hurtEnemy(enemy, hazard) {
+        if (hazard.instantDeath) {
+            enemy.fallIntoPit();
+            return;
+        }
+
+        enemy.takeDamage(1, hazard.x + hazard.width / 2, 'hazard');
+    }
+
+    /**
+     * Draw hazards (there's no tile art renderer yet, so use simple shapes)
+     */
+    draw(ctx) {
+        const engine = window.gameEngine;
+
+        this.hazards.forEach(hazard => {
+            if (engine && !engine.isOnScreen(hazard)) return;
+
+            if (hazard.type === 'bottomless_pit') {
+                // Fade to black
+                const gradient = ctx.createLinearGradient(0, hazard.y, 0, hazard.y + hazard.height);
+                gradient.addColorStop(0, 'rgba(0, 0, 0, 0.3)');
+                gradient.addColorStop(1, 'rgba(0, 0, 0, 0.9)');
+                ctx.fillStyle = gradient;
+                ctx.fillRect(hazard.x, hazard.y, hazard.width, hazard.height);
+                return;
+            }
+
+            // Row of spikes along the bottom of the hazard
+            const spikeWidth = 16;
+            const spikeCount = Math.max(1, Math.floor(hazard.width / spikeWidth));
+            const actualWidth = hazard.width / spikeCount;
+            const baseY = hazard.y + hazard.height;
+
+            ctx.fillStyle = hazard.color;
+            ctx.beginPath();
+            for (let i = 0; i < spikeCount; i++) {
+                const left = hazard.x + i * actualWidth;
+                ctx.moveTo(left, baseY);
+                ctx.lineTo(left + actualWidth / 2, hazard.y);
+                ctx.lineTo(left + actualWidth, baseY);
+            }
+            ctx.closePath();
+            ctx.fill();
+
+            // Debug: Draw hazard outline
+            if (engine && engine.debug.enabled) {
+                ctx.strokeStyle = 'magenta';
+                ctx.lineWidth = 2;
+                ctx.strokeRect(hazard.x, hazard.y, hazard.width, hazard.height);
+            }
+        });
+    }
+
+    /**
+     * Clear all hazards (for level transitions)
+     */
+    clear() {
+        this.hazards = [];
+    }
+}
+
+// Export the HazardManager class
+window.HazardManager = HazardManager;
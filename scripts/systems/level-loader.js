@@ -5,6 +5,9 @@ class LevelLoader {
         // Tile size for grid-based placement
         this.tileSize = 32;
         
+        // Solid platforms whose top is this close to the bottom of the level count as ground (tiles)
+        this.groundDepth = 3;
+        
         // Current level data
         this.currentLevel = null;
         
@@ -115,19 +118,29 @@ class LevelLoader {
                 ambient: rawLevel.music?.ambient || []
             },
             
-            // Physics modifications
+            // Physics modifications (see Physics.applyLevelProfile)
             gravity: rawLevel.gravity || 1.0,  // Multiplier
             wind: rawLevel.wind || { x: 0, y: 0 },
+            physicsProfile: this.convertPhysicsProfile(rawLevel),
+            
+            // Rank progression
+            minRank: rawLevel.minRank || null,  // Player is raised to this rank on load
+            rankReward: rawLevel.rankReward || null,  // Rank awarded on completion (default: next rank)
             
             // Level mechanics
             timeLimit: rawLevel.timeLimit || null,  // In seconds
             weather: rawLevel.weather || null,
             
             // Convert all object positions
-            platforms: this.convertPlatforms(rawLevel.platforms || []),
+            platforms: this.expandPlatformGroups(
+                this.convertPlatforms(rawLevel.platforms || [])
+                    .concat(this.convertMovingPlatforms(rawLevel.movingPlatforms || []))
+            ),
             enemies: this.convertObjects(rawLevel.enemies || []),
             collectibles: this.convertObjects(rawLevel.collectibles || []),
             hazards: this.convertObjects(rawLevel.hazards || []),
+            slopes: this.convertSlopes(rawLevel.slopes || []),
+            zones: this.convertZones(rawLevel.zones || []),
             checkpoints: this.convertObjects(rawLevel.checkpoints || []),
             decorations: this.convertObjects(rawLevel.decorations || []),
             
@@ -135,9 +148,28 @@ class LevelLoader {
             playerStart: this.convertPosition(rawLevel.playerStart || { x: 2, y: 15 })
         };
         
+        this.assignPlatformLayers(processed);
+        
         return processed;
     }
     
+    /**
+     * Build a level's physics profile
+     * Levels can use a "physics" block, or the older top-level gravity/wind fields
+     */
+    convertPhysicsProfile(rawLevel) {
+        const profile = { ...(rawLevel.physics || {}) };
+        
+        if (profile.gravity === undefined && rawLevel.gravity !== undefined) {
+            profile.gravity = rawLevel.gravity;
+        }
+        if (profile.wind === undefined && rawLevel.wind !== undefined) {
+            profile.wind = rawLevel.wind;
+        }
+        
+        return profile;
+    }
+    
     /**
      * Convert grid or pixel coordinates to pixels
      * Supports both formats for Tiled compatibility
@@ -186,7 +218,7 @@ class LevelLoader {
             // Otherwise, assume the values are already in pixels
             // This fixes the bug where height:32 was being multiplied by 32
             
-            return {
+            const converted = {
                 x: pos.x,
                 y: pos.y,
                 width: width,
@@ -194,9 +226,192 @@ class LevelLoader {
                 type: platform.type || 'solid',
                 properties: platform.properties || {}
             };
+            
+            // Collision layer ('ground' or 'platform' - see assignPlatformLayers)
+            const layer = platform.layer || converted.properties.layer;
+            if (layer) converted.layer = layer;
+            
+            // Moving platform settings (see PlatformManager)
+            const path = this.convertPath(platform);
+            if (path) converted.path = path;
+            if (platform.speed) converted.speed = platform.speed;  // Pixels per frame
+            if (platform.moveSpeed) converted.speed = platform.moveSpeed / window.physics.ticksPerSecond;  // Tiled: pixels per second
+            if (platform.loop) converted.loop = true;
+            if (platform.distance) converted.distance = platform.distance;  // Pixels
+            
+            // Orbit settings for circular platforms
+            const props = converted.properties;
+            const radius = platform.radius || props.radius;
+            const center = platform.center || (props.centerX !== undefined ?
+                { x: props.centerX, y: props.centerY, pixel: true } : null);
+            const phase = platform.phase !== undefined ? platform.phase : props.phase;
+            if (radius) converted.radius = radius;  // Pixels
+            if (center) converted.orbitCenter = this.convertPosition(center);
+            if (phase !== undefined) converted.orbitPhase = phase * Math.PI / 180;  // Degrees in level data
+            
+            // Falling platform timing (frames)
+            const fallDelay = platform.fallDelay !== undefined ? platform.fallDelay : props.fallDelay;
+            const resetDelay = platform.resetDelay !== undefined ? platform.resetDelay : props.resetDelay;
+            if (fallDelay !== undefined) converted.fallDelay = fallDelay;
+            if (resetDelay !== undefined) converted.resetDelay = resetDelay;
+            
+            // Spin speed (radians per frame)
+            const spinSpeed = platform.spinSpeed !== undefined ? platform.spinSpeed : props.spinSpeed;
+            if (spinSpeed !== undefined) converted.spinSpeed = spinSpeed;
+            
+            // Balance platform settings (radians per frame, max tilt in degrees)
+            const tiltSpeed = platform.tiltSpeed !== undefined ? platform.tiltSpeed : props.tiltSpeed;
+            const maxTilt = platform.maxTilt !== undefined ? platform.maxTilt : props.maxTilt;
+            if (tiltSpeed !== undefined) converted.tiltSpeed = tiltSpeed;
+            if (maxTilt !== undefined) converted.maxTilt = maxTilt;
+            
+            return converted;
+        });
+    }
+    
+    /**
+     * Get a moving platform's waypoints in pixels
+     * JSON levels use "path": [{x, y}, ...] (grid or pixel, like positions)
+     * Tiled object platforms use startX/startY/endX/endY
+     */
+    convertPath(platform) {
+        if (platform.path && platform.path.length > 1) {
+            return platform.path.map(point => this.convertPosition(point));
+        }
+        
+        if (platform.startX !== undefined && platform.endX !== undefined) {
+            return [
+                { x: platform.startX, y: platform.startY },
+                { x: platform.endX, y: platform.endY }
+            ];
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Convert slopes (right triangles filling their rectangle)
+     * direction 'up' rises to the right, 'down' falls to the right
+     */
+    convertSlopes(slopes) {
+        return slopes.map(slope => {
+            const pos = this.convertPosition(slope);
+            let width = slope.width || 1;
+            let height = slope.height || 1;
+            
+            // Same size rules as platforms
+            if (slope.inTiles || (width < 5 && height < 5)) {
+                width *= this.tileSize;
+                height *= this.tileSize;
+            }
+            
+            return {
+                x: pos.x,
+                y: pos.y,
+                width: width,
+                height: height,
+                direction: slope.direction === 'down' ? 'down' : 'up',
+                icy: slope.icy || false
+            };
         });
     }
     
+    /**
+     * Convert physics zones (water, low_gravity, wind, conveyor) and climbable ladders/vines
+     * Zone settings (forceX/forceY, speed, gravity) pass straight through
+     */
+    convertZones(zones) {
+        return zones.map(zone => {
+            const pos = this.convertPosition(zone);
+            let width = zone.width || 1;
+            let height = zone.height || 1;
+            
+            // Same size rules as platforms
+            if (zone.inTiles || (width < 5 && height < 5)) {
+                width *= this.tileSize;
+                height *= this.tileSize;
+            }
+            
+            return {
+                ...zone,
+                x: pos.x,
+                y: pos.y,
+                width: width,
+                height: height
+            };
+        });
+    }
+    
+    /**
+     * Put every platform on a collision layer (flying and ghost enemies only collide with ground)
+     * Levels can say so with "layer", otherwise the static solid floor along the bottom is ground
+     */
+    assignPlatformLayers(level) {
+        const groundTop = level.pixelHeight - this.groundDepth * this.tileSize;
+        
+        level.platforms.forEach(platform => {
+            if (platform.layer) return;
+            
+            const isFloor = platform.type === 'solid' && !platform.path && platform.y >= groundTop;
+            platform.layer = isFloor ? 'ground' : 'platform';
+        });
+    }
+    
+    /**
+     * Expand grouped platforms (four_platform_cw_circle etc.) into one platform per member
+     * Members share the leader's orbit center and are evenly spaced around it
+     */
+    expandPlatformGroups(platforms) {
+        const platformTypes = window.collisionDetection ? window.collisionDetection.platformTypes : {};
+        const expanded = [];
+        
+        platforms.forEach(platform => {
+            const platType = platformTypes[platform.type];
+            if (!platType || !platType.circularGroup) {
+                expanded.push(platform);
+                return;
+            }
+            
+            const center = platform.orbitCenter || {
+                x: platform.x + platform.width / 2,
+                y: platform.y + platform.height / 2
+            };
+            const basePhase = platform.orbitPhase || 0;
+            
+            for (let i = 0; i < platType.count; i++) {
+                expanded.push({
+                    ...platform,
+                    properties: { ...platform.properties },
+                    orbitCenter: { ...center },
+                    orbitPhase: basePhase + (Math.PI * 2 / platType.count) * i
+                });
+            }
+        });
+        
+        return expanded;
+    }
+    
+    /**
+     * Convert Tiled moving platforms (start/end markers and polylines) to platforms
+     * These are already in pixels, with speed in pixels per second
+     */
+    convertMovingPlatforms(movingPlatforms) {
+        return movingPlatforms.map(moving => ({
+            x: moving.x,
+            y: moving.y,
+            width: moving.width,
+            height: moving.height,
+            type: moving.type || 'moving_platform',
+            properties: moving.properties || {},
+            path: moving.path || [
+                { x: moving.startX, y: moving.startY },
+                { x: moving.endX, y: moving.endY }
+            ],
+            speed: (moving.speed || 100) / window.physics.ticksPerSecond,
+            loop: moving.loop || false
+        }));
+    }
+    
     /**
      * Convert general objects (enemies, items, etc)
      */
@@ -0,0 +1,448 @@
+// platform-manager.js - Moves platforms along their paths and carries whatever stands on them
+
+class PlatformManager {
+    constructor() {
+        // Platforms that move this level (subset of level.platforms)
+        this.movingPlatforms = [];
+
+        // Default travel distance for naming-convention platforms (platform_r_slow etc.)
+        this.defaultDistance = 160;
+        
+        // Default radius for circular platforms
+        this.defaultRadius = 96;
+
+        // How close counts as "arrived" at a waypoint
+        this.arriveThreshold = 0.01;
+        
+        // Falling platforms
+        this.shakeAmount = 2;  // Pixels of wobble while about to fall
+        this.fallDistance = 640;  // Stop falling (and hide) after dropping this far
+    }
+
+    /**
+     * Set up per-instance motion for every moving platform in the level
+     * Safe to call again on restart - platforms go back to where they spawned
+     */
+    init(levelData) {
+        this.movingPlatforms = [];
+
+        (levelData.platforms || []).forEach(platform => {
+            // Remember the spawn position so restarts are repeatable
+            if (platform.spawnX === undefined) {
+                platform.spawnX = platform.x;
+                platform.spawnY = platform.y;
+            }
+            platform.x = platform.spawnX;
+            platform.y = platform.spawnY;
+            platform.deltaX = 0;
+            platform.deltaY = 0;
+            platform.disabled = false;
+            platform.shakeOffset = 0;
+
+            platform.motion = this.createMotion(platform);
+            if (platform.motion) {
+                this.movingPlatforms.push(platform);
+            }
+        });
+
+        // Collision queries go through the grid, so build it once platforms are back in place
+        window.collisionDetection.updateSpatialGrid(levelData.platforms || []);
+
+        console.log(`Moving platforms initialized: ${this.movingPlatforms.length}`);
+    }
+
+    /**
+     * Build the waypoint motion for a platform (null if it doesn't move)
+     */
+    createMotion(platform) {
+        const platType = window.collisionDetection.platformTypes[platform.type];
+        
+        // Circular platforms orbit a center point
+        if (platType && (platType.circular || platType.circularGroup)) {
+            return this.createOrbit(platform, platType);
+        }
+        
+        // Spinning platforms turn around their own center
+        if (platType && platType.spinning) {
+            platform.rotation = 0;
+            return {
+                kind: 'spin',
+                spinSpeed: platform.spinSpeed !== undefined ? platform.spinSpeed : platType.spinSpeed
+            };
+        }
+        
+        // Balance platforms tilt under weight and level out when empty
+        if (platType && platType.balance) {
+            platform.rotation = 0;
+            return {
+                kind: 'balance',
+                tiltSpeed: platform.tiltSpeed !== undefined ? platform.tiltSpeed : platType.tiltSpeed,
+                maxTilt: (platform.maxTilt !== undefined ? platform.maxTilt : platType.maxTilt) * Math.PI / 180
+            };
+        }
+        
+        // Falling platforms sit still until someone stands on them
+        if (platType && platType.falling) {
+            return {
+                kind: 'falling',
+                state: 'idle',  // idle -> shaking -> falling -> gone -> idle
+                timer: 0,
+                fallDelay: platform.fallDelay !== undefined ? platform.fallDelay : platType.fallDelay,
+                resetDelay: platform.resetDelay !== undefined ? platform.resetDelay : platType.resetDelay,
+                speedY: 0
+            };
+        }
+        
+        // Explicit waypoints (level JSON path, Tiled markers or polylines)
+        if (platform.path && platform.path.length > 1) {
+            return {
+                kind: 'path',
+                points: platform.path.map(point => ({ x: point.x, y: point.y })),
+                speed: platform.speed || 1,
+                loop: platform.loop || false,
+                target: 1,
+                step: 1
+            };
+        }
+
+        // Naming convention - travel from the spawn point in the type's direction
+        if (platType && platType.dirX !== undefined) {
+            const distance = platform.distance || this.defaultDistance;
+            return {
+                kind: 'path',
+                points: [
+                    { x: platform.spawnX, y: platform.spawnY },
+                    {
+                        x: platform.spawnX + platType.dirX * distance,
+                        y: platform.spawnY + platType.dirY * distance
+                    }
+                ],
+                speed: platform.speed || platType.speed,
+                loop: false,
+                target: 1,
+                step: 1
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Build orbit motion around a center point
+     * With an explicit center, the platform starts where it was placed (radius/phase from its spawn)
+     * Without one, it orbits around its own spawn point
+     */
+    createOrbit(platform, platType) {
+        const spawnCenterX = platform.spawnX + platform.width / 2;
+        const spawnCenterY = platform.spawnY + platform.height / 2;
+        
+        let centerX = spawnCenterX;
+        let centerY = spawnCenterY;
+        let radius = platform.radius || this.defaultRadius;
+        let angle = platform.orbitPhase || 0;
+        
+        if (platform.orbitCenter) {
+            centerX = platform.orbitCenter.x;
+            centerY = platform.orbitCenter.y;
+            
+            // Single platform placed on its circle - derive radius and phase from placement
+            if (!platType.circularGroup && platform.orbitPhase === undefined) {
+                const dx = spawnCenterX - centerX;
+                const dy = spawnCenterY - centerY;
+                if (dx !== 0 || dy !== 0) {
+                    radius = platform.radius || Math.sqrt(dx * dx + dy * dy);
+                    angle = Math.atan2(dy, dx);
+                }
+            }
+        }
+        
+        // Speed is along the arc (pixels per frame), so big circles don't spin faster
+        // Screen Y points down, so increasing the angle moves clockwise
+        const speed = platform.speed || platType.speed || 1;
+        const angularSpeed = (speed / radius) * (platType.clockwise ? 1 : -1);
+        
+        const motion = {
+            kind: 'orbit',
+            centerX: centerX,
+            centerY: centerY,
+            radius: radius,
+            angle: angle,
+            angularSpeed: angularSpeed
+        };
+        
+        // Snap onto the circle right away so the first frame doesn't jump riders
+        this.placeOnOrbit(platform, motion);
+        
+        return motion;
+    }
+    
+    /**
+     * Move all platforms, then carry their riders by the same amount
+     */
+    update() {
+        this.movingPlatforms.forEach(platform => {
+            const oldX = platform.x;
+            const oldY = platform.y;
+
+            if (platform.motion.kind === 'orbit') {
+                this.moveAlongOrbit(platform);
+            } else if (platform.motion.kind === 'falling') {
+                this.updateFalling(platform);
+            } else if (platform.motion.kind === 'balance') {
+                this.updateBalance(platform);
+            } else if (platform.motion.kind === 'spin') {
+                // Riders stay put - the surface tilts under them and they slide
+                platform.rotation = (platform.rotation + platform.motion.spinSpeed) % (Math.PI * 2);
+            } else {
+                this.moveAlongPath(platform);
+            }
+
+            platform.deltaX = platform.x - oldX;
+            platform.deltaY = platform.y - oldY;
+
+            // Keep the collision grid in step
+            if (platform.deltaX !== 0 || platform.deltaY !== 0) {
+                window.collisionDetection.moveInGrid(window.collisionDetection.spatialGrid, platform);
+            }
+
+            this.carryRiders(platform);
+        });
+    }
+
+    /**
+     * Advance a platform toward its next waypoint (ping-pong or loop)
+     */
+    moveAlongPath(platform) {
+        const motion = platform.motion;
+        let remaining = motion.speed;
+        let emptyArrivals = 0;  // Waypoints reached in a row without moving
+
+        // Spend the whole frame's movement, even across waypoints
+        while (remaining > 0) {
+            const target = motion.points[motion.target];
+            const dx = target.x - platform.x;
+            const dy = target.y - platform.y;
+            const distance = Math.sqrt(dx * dx + dy * dy);
+
+            if (distance <= remaining + this.arriveThreshold) {
+                platform.x = target.x;
+                platform.y = target.y;
+                remaining -= distance;
+                this.advanceWaypoint(motion);
+
+                // A whole pass over the points without moving - every point is the same spot
+                emptyArrivals = distance === 0 ? emptyArrivals + 1 : 0;
+                if (emptyArrivals >= motion.points.length) break;
+            } else {
+                platform.x += dx / distance * remaining;
+                platform.y += dy / distance * remaining;
+                remaining = 0;
+            }
+        }
+    }
+
+    /**
+     * Advance a platform around its circle
+     * Position comes straight from the angle so there's no drift over time
+     */
+    moveAlongOrbit(platform) {
+        const motion = platform.motion;
+        motion.angle = (motion.angle + motion.angularSpeed) % (Math.PI * 2);
+        this.placeOnOrbit(platform, motion);
+    }
+    
+    /**
+     * Put a platform's center on its orbit at the current angle
+     */
+    placeOnOrbit(platform, motion) {
+        platform.x = motion.centerX + Math.cos(motion.angle) * motion.radius - platform.width / 2;
+        platform.y = motion.centerY + Math.sin(motion.angle) * motion.radius - platform.height / 2;
+    }
+    
+    /**
+     * Tilt a balance platform toward the side with more weight
+     * Each rider pushes by how far it is from the pivot (-1 at the left end, 1 at the right),
+     * so standing near an end tips it further and faster than standing near the middle
+     */
+    updateBalance(platform) {
+        const motion = platform.motion;
+        const pivotX = platform.x + platform.width / 2;
+        const halfWidth = platform.width / 2;
+        
+        let riders = 0;
+        let torque = 0;
+        this.getRiders().forEach(entity => {
+            if (entity.standingOn !== platform) return;
+            
+            const offset = (entity.x + entity.width / 2 - pivotX) / halfWidth;
+            torque += Math.max(-1, Math.min(1, offset)) * (entity.weight || 1);
+            riders++;
+        });
+        torque = Math.max(-1, Math.min(1, torque));
+        
+        // Empty - drift back to level at the base rate
+        // Occupied - head for the tilt the weight asks for, faster the further off-center it is
+        const target = riders > 0 ? torque * motion.maxTilt : 0;
+        const rate = riders > 0 ? motion.tiltSpeed * Math.max(Math.abs(torque), 0.25) : motion.tiltSpeed;
+        
+        const difference = target - platform.rotation;
+        if (Math.abs(difference) <= rate) {
+            platform.rotation = target;
+        } else {
+            platform.rotation += Math.sign(difference) * rate;
+        }
+    }
+    
+    /**
+     * Run a falling platform through shake, fall, and respawn
+     */
+    updateFalling(platform) {
+        const motion = platform.motion;
+        
+        switch (motion.state) {
+            case 'idle':
+                // Start the countdown as soon as anything lands on it
+                if (this.hasRiders(platform)) {
+                    motion.state = 'shaking';
+                    motion.timer = motion.fallDelay;
+                }
+                break;
+                
+            case 'shaking':
+                // Keeps shaking even if the rider hops off - it's already cracked
+                motion.timer--;
+                platform.shakeOffset = (Math.random() * 2 - 1) * this.shakeAmount;
+                
+                if (motion.timer <= 0) {
+                    this.dropPlatform(platform);
+                }
+                break;
+                
+            case 'falling':
+                window.physics.applyGravity(motion);
+                platform.y += motion.speedY;
+                
+                if (platform.y - platform.spawnY > this.fallDistance) {
+                    motion.state = 'gone';
+                }
+                
+                motion.timer--;
+                if (motion.timer <= 0) {
+                    this.respawnPlatform(platform);
+                }
+                break;
+                
+            case 'gone':
+                motion.timer--;
+                if (motion.timer <= 0) {
+                    this.respawnPlatform(platform);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Let go of a falling platform - riders lose their footing right away
+     */
+    dropPlatform(platform) {
+        const motion = platform.motion;
+        motion.state = 'falling';
+        motion.timer = motion.resetDelay;
+        motion.speedY = 0;
+        platform.disabled = true;
+        platform.shakeOffset = 0;
+        
+        this.getRiders().forEach(entity => {
+            if (entity.standingOn === platform) {
+                entity.standingOn = null;
+                entity.isGrounded = false;
+            }
+        });
+    }
+    
+    /**
+     * Put a falling platform back where it started
+     * Waits a frame at a time if something is in the way so nobody gets stuck inside it
+     */
+    respawnPlatform(platform) {
+        const spawnRect = {
+            x: platform.spawnX,
+            y: platform.spawnY,
+            width: platform.width,
+            height: platform.height
+        };
+        
+        const blocked = this.getRiders().some(entity =>
+            entity.isAlive !== false && window.collisionDetection.checkRectCollision(entity, spawnRect)
+        );
+        if (blocked) {
+            platform.motion.state = 'gone';
+            platform.motion.timer = 1;
+            return;
+        }
+        
+        platform.x = platform.spawnX;
+        platform.y = platform.spawnY;
+        platform.disabled = false;
+        platform.motion.state = 'idle';
+        platform.motion.speedY = 0;
+    }
+    
+    /**
+     * Check if anything is standing on a platform
+     */
+    hasRiders(platform) {
+        return this.getRiders().some(entity => entity.standingOn === platform);
+    }
+    
+    /**
+     * Pick the next waypoint
+     */
+    advanceWaypoint(motion) {
+        if (motion.loop) {
+            motion.target = (motion.target + 1) % motion.points.length;
+            return;
+        }
+
+        // Ping-pong at the ends
+        const next = motion.target + motion.step;
+        if (next < 0 || next >= motion.points.length) {
+            motion.step *= -1;
+        }
+        motion.target += motion.step;
+    }
+
+    /**
+     * Move the player and enemies standing on a platform along with it
+     */
+    carryRiders(platform) {
+        if (platform.deltaX === 0 && platform.deltaY === 0) return;
+
+        this.getRiders().forEach(entity => {
+            if (entity.standingOn === platform) {
+                entity.x += platform.deltaX;
+                entity.y += platform.deltaY;
+            }
+        });
+    }
+
+    /**
+     * Everything that can ride a platform
+     */
+    getRiders() {
+        const riders = [];
+        if (window.player) riders.push(window.player);
+        if (window.enemyManager) riders.push(...window.enemyManager.enemies);
+        return riders;
+    }
+
+    /**
+     * Clear all platforms (for level transitions)
+     */
+    clear() {
+        this.movingPlatforms = [];
+    }
+}
+
+// Export the PlatformManager class
+window.PlatformManager = PlatformManager;
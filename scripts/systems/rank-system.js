@@ -0,0 +1,131 @@
+// rank-system.js - Clerical rank progression (Friar → Bishop → Archbishop → Cardinal → Pope)
+
+class RankSystem {
+    constructor() {
+        // Ranks in promotion order - each rank keeps the abilities of the ranks below it
+        // Ranks without a spriteSheet wear defaultSpriteSheet until their outfit is drawn
+        this.ranks = [
+            {
+                id: 'friar',
+                name: 'Friar',
+                abilities: ['jump']
+            },
+            {
+                id: 'bishop',
+                name: 'Bishop',
+                abilities: ['doubleJump']
+            },
+            {
+                id: 'archbishop',
+                name: 'Archbishop',
+                abilities: ['frontAttack']
+            },
+            {
+                id: 'cardinal',
+                name: 'Cardinal',
+                abilities: ['projectile']
+            },
+            {
+                id: 'pope',
+                name: 'Pope',
+                spriteSheet: 'assets/images/characters/player/pope-sprite-sheet-1.png',
+                abilities: ['flight']
+            }
+        ];
+
+        // Used when a rank's own outfit hasn't been drawn yet
+        this.defaultSpriteSheet = 'assets/images/characters/player/pope-sprite-sheet-1.png';
+    }
+
+    /**
+     * Get the position of a rank in the promotion order
+     * @param {string} rankId - Rank id (e.g. 'bishop')
+     * @returns {number} Index, or 0 (Friar) for unknown ranks
+     */
+    getRankIndex(rankId) {
+        const index = this.ranks.findIndex(rank => rank.id === rankId);
+        return index === -1 ? 0 : index;
+    }
+
+    /**
+     * Get the full rank definition
+     */
+    getRank(rankId) {
+        return this.ranks[this.getRankIndex(rankId)];
+    }
+
+    /**
+     * Get the sprite sheet a rank wears
+     */
+    getSpriteSheet(rankId) {
+        return this.getRank(rankId).spriteSheet || this.defaultSpriteSheet;
+    }
+
+    /**
+     * Get the rank after this one (null if already Pope)
+     */
+    getNextRank(rankId) {
+        return this.ranks[this.getRankIndex(rankId) + 1] || null;
+    }
+
+    /**
+     * Check if a rank grants an ability (abilities are cumulative)
+     * @param {string} rankId - Rank to check
+     * @param {string} ability - 'jump', 'doubleJump', 'frontAttack', 'projectile' or 'flight'
+     */
+    hasAbility(rankId, ability) {
+        const rankIndex = this.getRankIndex(rankId);
+
+        for (let i = 0; i <= rankIndex; i++) {
+            if (this.ranks[i].abilities.includes(ability)) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Promote the player after completing a level
+     * Each level only promotes once, so replaying it doesn't skip ranks
+     * @param {Object} playerStats - GameEngine.playerStats
+     * @param {string} levelName - Level identifier (file name)
+     * @param {string} rankReward - Optional rank the level awards directly
+     * @returns {Object|null} The new rank, or null if no promotion happened
+     */
+    awardLevelCompletion(playerStats, levelName, rankReward = null) {
+        if (playerStats.levelsCompleted.includes(levelName)) return null;
+        playerStats.levelsCompleted.push(levelName);
+
+        const currentIndex = this.getRankIndex(playerStats.rank);
+        let newIndex = currentIndex + 1;
+
+        // Levels can award a specific rank (never a demotion)
+        if (rankReward) {
+            newIndex = Math.max(currentIndex, this.getRankIndex(rankReward));
+        }
+
+        if (newIndex <= currentIndex || newIndex >= this.ranks.length) return null;
+
+        playerStats.rank = this.ranks[newIndex].id;
+        console.log(`Promoted to ${this.ranks[newIndex].name}!`);
+        return this.ranks[newIndex];
+    }
+
+    /**
+     * Raise the player to a level's minimum rank so it can assume those abilities
+     * @param {Object} playerStats - GameEngine.playerStats
+     * @param {string} minRank - Rank id required by the level (or null)
+     */
+    applyMinimumRank(playerStats, minRank) {
+        if (!minRank) return;
+
+        if (this.getRankIndex(playerStats.rank) < this.getRankIndex(minRank)) {
+            playerStats.rank = this.getRank(minRank).id;
+            console.log(`Level requires ${this.getRank(minRank).name} - rank raised`);
+        }
+    }
+}
+
+// Export the RankSystem class
+window.RankSystem = RankSystem;
@@ -22,6 +22,17 @@ class TiledConverter {
             49: 'falling_platform'
         };
         
+        // Tiles that are the level's ground (flying and ghost enemies still collide with these)
+        this.groundTiles = [17, 18, 19, 20];
+        
+        // Map Tiled tile IDs to 45° slope tiles
+        this.tileSlopes = {
+            53: { direction: 'up', icy: false },
+            54: { direction: 'down', icy: false },
+            55: { direction: 'up', icy: true },
+            56: { direction: 'down', icy: true }
+        };
+        
         // Map Tiled object types to game entities
         this.objectTypeMap = {
             // Collectibles
@@ -46,6 +57,22 @@ class TiledConverter {
             51: { type: 'player_spawn', category: 'special' }
         };
         
+        // Object types that become physics zones
+        this.zoneTypes = ['water', 'low_gravity', 'wind', 'conveyor', 'ladder', 'vine'];
+        
+        // Climbable tiles (tilesets can mark more with a "climbable" tile property)
+        this.climbableTiles = {
+            61: 'ladder',
+            62: 'vine'
+        };
+        
+        // Tile layers where every tile is climbable (matched on lowercase layer name)
+        this.climbableLayers = {
+            climbable: 'ladder',
+            ladders: 'ladder',
+            vines: 'vine'
+        };
+        
         // Track moving platform pairs
         this.movingPlatformPairs = new Map();
     }
@@ -68,11 +95,17 @@ class TiledConverter {
             timeLimit: null,
             weather: null,
             
+            // Rank progression
+            minRank: tiledData.properties?.minRank || null,
+            rankReward: tiledData.properties?.rankReward || null,
+            
             // Arrays for game objects
             platforms: [],
             enemies: [],
             collectibles: [],
             hazards: [],
+            slopes: [],
+            zones: [],
             checkpoints: [],
             decorations: [],
             movingPlatforms: [],
@@ -93,12 +126,18 @@ class TiledConverter {
             }
         };
         
+        // Ladder and vine tiles, including ones marked in the tilesets
+        const climbableTiles = this.getClimbableTiles(tiledData);
+        
         // Process each layer
         tiledData.layers.forEach(layer => {
             switch (layer.type) {
                 case 'tilelayer':
                     if (layer.name === 'Platforms' || layer.name === 'platforms') {
                         converted.platforms = this.parseTileLayer(layer, tiledData);
+                        this.parseSlopeTiles(layer, converted);
+                        // Spikes and pits are often painted straight onto the platform layer
+                        this.parseHazardTiles(layer, converted, true);
                     } else if (layer.name === 'Hazards' || layer.name === 'hazards') {
                         // Parse hazard tiles separately
                         this.parseHazardTiles(layer, converted);
@@ -106,6 +145,7 @@ class TiledConverter {
                         // Check any other tile layer for special tiles (exit, spawn, etc.)
                         this.parseHazardTiles(layer, converted);
                     }
+                    this.parseClimbableTiles(layer, converted, climbableTiles);
                     break;
                     
                 case 'objectgroup':
@@ -150,7 +190,10 @@ class TiledConverter {
                 const platformType = this.tilePlatformTypes[tileId];
                 
                 // Try to create larger rectangles by merging adjacent tiles
-                const rect = this.expandRectangle(x, y, width, layer.height, data, processed, tileId);
+                // Falling tiles stay separate so each one crumbles on its own
+                const rect = platformType === 'falling_platform' ?
+                    { x: x, y: y, width: 1, height: 1 } :
+                    this.expandRectangle(x, y, width, layer.height, data, processed, tileId);
                 
                 platforms.push({
                     x: rect.x * this.tileSize,
@@ -158,6 +201,7 @@ class TiledConverter {
                     width: rect.width * this.tileSize,
                     height: rect.height * this.tileSize,
                     type: platformType,
+                    layer: this.groundTiles.includes(tileId) ? 'ground' : 'platform',
                     properties: {}
                 });
             }
@@ -166,10 +210,92 @@ class TiledConverter {
         return platforms;
     }
     
+    /**
+     * Parse slope tiles (one 45° slope per tile)
+     */
+    parseSlopeTiles(layer, converted) {
+        const width = layer.width;
+        const data = layer.data;
+        
+        for (let y = 0; y < layer.height; y++) {
+            for (let x = 0; x < width; x++) {
+                const slopeDef = this.tileSlopes[data[y * width + x]];
+                if (!slopeDef) continue;
+                
+                converted.slopes.push({
+                    x: x * this.tileSize,
+                    y: y * this.tileSize,
+                    width: this.tileSize,
+                    height: this.tileSize,
+                    direction: slopeDef.direction,
+                    icy: slopeDef.icy,
+                    pixel: true
+                });
+            }
+        }
+    }
+    
+    /**
+     * Collect climbable tile IDs - the built-in ones plus any tileset tile with a
+     * "climbable" property (true for a ladder, or 'ladder' / 'vine')
+     */
+    getClimbableTiles(tiledData) {
+        const climbable = { ...this.climbableTiles };
+        
+        (tiledData.tilesets || []).forEach(tileset => {
+            (tileset.tiles || []).forEach(tile => {
+                const prop = (tile.properties || []).find(p => p.name === 'climbable');
+                if (!prop || !prop.value) return;
+                climbable[tileset.firstgid + tile.id] = prop.value === 'vine' ? 'vine' : 'ladder';
+            });
+        });
+        
+        return climbable;
+    }
+    
+    /**
+     * Parse ladder and vine tiles into climbable zones
+     * Each column's unbroken runs of the same kind become one tall zone
+     */
+    parseClimbableTiles(layer, converted, climbableTiles) {
+        const width = layer.width;
+        const data = layer.data;
+        const layerType = this.climbableLayers[(layer.name || '').toLowerCase()];
+        const typeAt = (x, y) => {
+            const tileId = data[y * width + x];
+            if (tileId === 0) return null;
+            return layerType || climbableTiles[tileId] || null;
+        };
+        
+        for (let x = 0; x < width; x++) {
+            let y = 0;
+            while (y < layer.height) {
+                const type = typeAt(x, y);
+                if (!type) {
+                    y++;
+                    continue;
+                }
+                
+                const startY = y;
+                while (y < layer.height && typeAt(x, y) === type) y++;
+                
+                converted.zones.push({
+                    x: x * this.tileSize,
+                    y: startY * this.tileSize,
+                    width: this.tileSize,
+                    height: (y - startY) * this.tileSize,
+                    type: type,
+                    pixel: true
+                });
+            }
+        }
+    }
+    
     /**
      * Parse hazard tiles from a tile layer
+     * @param {boolean} hazardsOnly - Skip spawn, exit and moving platform markers (the Platforms layer)
      */
-    parseHazardTiles(layer, converted) {
+    parseHazardTiles(layer, converted, hazardsOnly = false) {
         const width = layer.width;
         const data = layer.data;
         
@@ -180,6 +306,8 @@ class TiledConverter {
                 
                 if (tileId === 0) continue;
                 
+                if (hazardsOnly && !this.isHazardTile(tileId)) continue;
+                
                 // Check for special tiles (exit and spawn)
                 if (tileId === 50) {
                     console.log('Found exit tile at:', x * this.tileSize, y * this.tileSize);
@@ -198,9 +326,15 @@ class TiledConverter {
                 }
                 
                 // Check if it's a hazard tile
-                if (tileId === 43 || tileId === 44 || tileId === 52) {
+                if (this.isHazardTile(tileId)) {
                     const hazardDef = this.objectTypeMap[tileId];
-                    if (hazardDef && hazardDef.category === 'hazard') {
+                    
+                    // Same tile painted on more than one layer - only add it once
+                    const duplicate = converted.hazards.some(hazard =>
+                        hazard.x === x * this.tileSize && hazard.y === y * this.tileSize &&
+                        hazard.type === hazardDef.type);
+                    
+                    if (!duplicate) {
                         converted.hazards.push({
                             x: x * this.tileSize,
                             y: y * this.tileSize,
@@ -236,6 +370,14 @@ class TiledConverter {
         }
     }
     
+    /**
+     * Check if a tile ID is a hazard tile (spikes, death tile, bottomless pit)
+     */
+    isHazardTile(tileId) {
+        const def = this.objectTypeMap[tileId];
+        return (tileId === 43 || tileId === 44 || tileId === 52) && !!def && def.category === 'hazard';
+    }
+    
     /**
      * Process moving platform pairs
      */
@@ -323,136 +465,250 @@ class TiledConverter {
         return { x: startX, y: startY, width, height };
     }
     
-/**
- * Parse object layer for entities
- */
-parseObjectLayer(layer, converted) {
-    layer.objects.forEach(obj => {
-        // Tiled uses bottom-left origin for objects, convert to top-left
-        const x = obj.x;
-        const y = obj.y - (obj.height || 32);
-        
-        // Check for rectangle objects (no gid means it's a shape, not a tile)
-        if (!obj.gid) {
-            // Check if it's a platform by name or type property
-            if (obj.name === 'platform' || obj.type === 'platform' || 
-                (obj.properties && obj.properties.find(p => p.name === 'platformType'))) {
-                
-                const platform = {
-                    x: x,
-                    y: y,
-                    width: obj.width,
-                    height: obj.height,
-                    type: 'solid' // default type
-                };
-                
-                // Process custom properties
-                if (obj.properties) {
-                    const props = {};
-                    obj.properties.forEach(prop => {
-                        props[prop.name] = prop.value;
-                    });
+    /**
+     * Parse object layer for entities
+     */
+    parseObjectLayer(layer, converted) {
+        layer.objects.forEach(obj => {
+            // Tiled uses bottom-left origin for objects, convert to top-left
+            const x = obj.x;
+            const y = obj.y - (obj.height || 32);
+            
+            // Rectangles marked as physics zones
+            if (!obj.gid && !obj.polygon && !obj.polyline && this.zoneTypes.includes(obj.type || obj.class)) {
+                this.parseZoneObject(obj, converted);
+                return;
+            }
+            
+            // Triangle polygons marked as slopes
+            if (obj.polygon && (obj.type === 'slope' || obj.class === 'slope')) {
+                this.parseSlopeObject(obj, converted);
+                return;
+            }
+            
+            // Polyline/polygon platforms follow a multi-point path
+            if ((obj.polyline || obj.polygon) && this.isPlatformObject(obj)) {
+                this.parsePlatformPath(obj, converted);
+                return;
+            }
+            
+            // Check for rectangle objects (no gid means it's a shape, not a tile)
+            if (!obj.gid) {
+                // Check if it's a platform by name or type property
+                if (this.isPlatformObject(obj)) {
                     
-                    // Handle platform type
-                    if (props.platformType) {
-                        platform.type = props.platformType;
-                    }
+                    const platform = {
+                        x: x,
+                        y: y,
+                        width: obj.width,
+                        height: obj.height,
+                        type: 'solid' // default type
+                    };
                     
-                    // Handle moving platform properties
-                    if (props.moveDistance || props.moveSpeed) {
-                        platform.moving = true;
-                        platform.moveDistance = props.moveDistance || 200;
-                        platform.moveSpeed = props.moveSpeed || 100;
-                        platform.moveDirection = props.moveDirection || 'horizontal';
+                    // Process custom properties
+                    if (obj.properties) {
+                        const props = {};
+                        obj.properties.forEach(prop => {
+                            props[prop.name] = prop.value;
+                        });
                         
-                        // Calculate end positions based on direction
-                        if (platform.moveDirection === 'horizontal') {
-                            platform.startX = x;
-                            platform.endX = x + platform.moveDistance;
-                            platform.startY = y;
-                            platform.endY = y;
-                        } else {
-                            platform.startX = x;
-                            platform.endX = x;
-                            platform.startY = y;
-                            platform.endY = y + platform.moveDistance;
+                        // Handle platform type
+                        if (props.platformType) {
+                            platform.type = props.platformType;
                         }
+                        
+                        // Handle moving platform properties
+                        if (props.moveDistance || props.moveSpeed) {
+                            platform.moving = true;
+                            platform.moveDistance = props.moveDistance || 200;
+                            platform.moveSpeed = props.moveSpeed || 100;
+                            platform.moveDirection = props.moveDirection || 'horizontal';
+                            
+                            // Calculate end positions based on direction
+                            if (platform.moveDirection === 'horizontal') {
+                                platform.startX = x;
+                                platform.endX = x + platform.moveDistance;
+                                platform.startY = y;
+                                platform.endY = y;
+                            } else {
+                                platform.startX = x;
+                                platform.endX = x;
+                                platform.startY = y;
+                                platform.endY = y + platform.moveDistance;
+                            }
+                        }
+                        
+                        // Store all properties for future use
+                        platform.properties = props;
                     }
                     
-                    // Store all properties for future use
-                    platform.properties = props;
+                    converted.platforms.push(platform);
+                    console.log('Added platform from object:', platform);
+                    return;
                 }
-                
-                converted.platforms.push(platform);
-                console.log('Added platform from object:', platform);
-                return;
             }
-        }
-        
-        // Check for special tiles FIRST (before checking objectTypeMap)
-        if (obj.gid === 50) {
-            console.log('Found exit at:', x, y);
-            converted.goal.position = { x, y };
-            return;
-        } else if (obj.gid === 51) {
-            console.log('Found player spawn at:', x, y);
-            converted.playerStart = { x, y };
-            return;
-        }
-        
-        // Check if it's a special object by name
-        if (obj.name === 'playerStart' || obj.name === 'player_spawn') {
-            converted.playerStart = { x, y };
-            return;
-        }
-        
-        if (obj.name === 'levelExit' || obj.name === 'pequods' || obj.name === 'level_exit') {
-            converted.goal.position = { x, y };
-            return;
-        }
-        
-        // Only check objectTypeMap if obj has a gid
-        if (obj.gid) {
-            // Map GID to entity type
-            const entityDef = this.objectTypeMap[obj.gid];
-            if (!entityDef) {
-                console.warn('Unknown object GID:', obj.gid);
+            
+            // Check for special tiles FIRST (before checking objectTypeMap)
+            if (obj.gid === 50) {
+                console.log('Found exit at:', x, y);
+                converted.goal.position = { x, y };
+                return;
+            } else if (obj.gid === 51) {
+                console.log('Found player spawn at:', x, y);
+                converted.playerStart = { x, y };
                 return;
             }
             
-            // Create entity based on category
-            const entity = {
-                x: x,
-                y: y,
-                type: entityDef.type
-            };
+            // Check if it's a special object by name
+            if (obj.name === 'playerStart' || obj.name === 'player_spawn') {
+                converted.playerStart = { x, y };
+                return;
+            }
             
-            // Add any custom properties from Tiled
-            if (obj.properties) {
-                obj.properties.forEach(prop => {
-                    entity[prop.name] = prop.value;
-                });
+            if (obj.name === 'levelExit' || obj.name === 'pequods' || obj.name === 'level_exit') {
+                converted.goal.position = { x, y };
+                return;
             }
             
-            // Add to appropriate array
-            switch (entityDef.category) {
-                case 'enemy':
-                    entity.config = entityDef.config || {};
-                    converted.enemies.push(entity);
-                    break;
+            // Only check objectTypeMap if obj has a gid
+            if (obj.gid) {
+                // Map GID to entity type
+                const entityDef = this.objectTypeMap[obj.gid];
+                if (!entityDef) {
+                    console.warn('Unknown object GID:', obj.gid);
+                    return;
+                }
+                
+                // Create entity based on category
+                const entity = {
+                    x: x,
+                    y: y,
+                    type: entityDef.type
+                };
+                
+                // Add any custom properties from Tiled
+                if (obj.properties) {
+                    obj.properties.forEach(prop => {
+                        entity[prop.name] = prop.value;
+                    });
+                }
+                
+                // Add to appropriate array
+                switch (entityDef.category) {
+                    case 'enemy':
+                        entity.config = entityDef.config || {};
+                        converted.enemies.push(entity);
+                        break;
                     
-                case 'collectible':
-                    converted.collectibles.push(entity);
-                    break;
+                    case 'collectible':
+                        converted.collectibles.push(entity);
+                        break;
                     
-                case 'hazard':
-                    entity.config = entityDef.config || {};
-                    converted.hazards.push(entity);
-                    break;
+                    case 'hazard':
+                        entity.config = entityDef.config || {};
+                        converted.hazards.push(entity);
+                        break;
+                }
             }
+        });
+    }
+    
+    /**
+     * Check if a Tiled object describes a platform
+     */
+    isPlatformObject(obj) {
+        return obj.name === 'platform' || obj.type === 'platform' || obj.type === 'moving_platform' ||
+               (obj.properties && obj.properties.find(p => p.name === 'platformType')) !== undefined;
+    }
+    
+    /**
+     * Parse a polyline (ping-pong) or polygon (loop) object into a moving platform
+     * The platform is centered on each point of the line
+     */
+    parsePlatformPath(obj, converted) {
+        const props = {};
+        if (obj.properties) {
+            obj.properties.forEach(prop => {
+                props[prop.name] = prop.value;
+            });
         }
-    });
-}
+        
+        const width = props.width || this.tileSize * 2;
+        const height = props.height || this.tileSize;
+        const points = obj.polyline || obj.polygon;
+        
+        const path = points.map(point => ({
+            x: obj.x + point.x - width / 2,
+            y: obj.y + point.y - height / 2
+        }));
+        
+        converted.movingPlatforms.push({
+            x: path[0].x,
+            y: path[0].y,
+            width: width,
+            height: height,
+            path: path,
+            speed: props.moveSpeed || 100, // pixels per second
+            loop: obj.polygon !== undefined || props.loop === true,
+            type: props.platformType || 'moving_platform',
+            properties: props
+        });
+        console.log('Added path platform from object:', path.length, 'points');
+    }
+    
+    /**
+     * Parse a rectangle object into a physics zone
+     * Properties (forceX, forceY, speed, gravity) are copied onto the zone
+     */
+    parseZoneObject(obj, converted) {
+        // Shape objects already use a top-left origin
+        const zone = {
+            x: obj.x,
+            y: obj.y,
+            width: obj.width,
+            height: obj.height,
+            type: obj.type || obj.class,
+            pixel: true
+        };
+        
+        if (obj.properties) {
+            obj.properties.forEach(prop => {
+                zone[prop.name] = prop.value;
+            });
+        }
+        
+        converted.zones.push(zone);
+        console.log('Added zone from object:', zone.type);
+    }
+    
+    /**
+     * Parse a triangle polygon object into a slope
+     * The slope fills the polygon's bounding box and rises toward its highest point
+     */
+    parseSlopeObject(obj, converted) {
+        const xs = obj.polygon.map(point => obj.x + point.x);
+        const ys = obj.polygon.map(point => obj.y + point.y);
+        const left = Math.min(...xs);
+        const right = Math.max(...xs);
+        const top = Math.min(...ys);
+        const bottom = Math.max(...ys);
+        
+        // Highest point on the right half means the slope rises to the right
+        const peakX = xs[ys.indexOf(top)];
+        const icy = obj.properties ? obj.properties.some(prop => prop.name === 'icy' && prop.value) : false;
+        
+        converted.slopes.push({
+            x: left,
+            y: top,
+            width: right - left,
+            height: bottom - top,
+            direction: peakX > (left + right) / 2 ? 'up' : 'down',
+            icy: icy,
+            pixel: true
+        });
+        console.log('Added slope from object:', right - left, 'x', bottom - top);
+    }
+    
     /**
      * Parse image layers for parallax backgrounds
      */
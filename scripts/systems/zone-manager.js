@@ -0,0 +1,325 @@
+// zone-manager.js - Physics zones (water, low gravity, wind, conveyors, ladders) that change how things move
+
+class ZoneManager {
+    constructor() {
+        // All zones in the current level
+        this.zones = [];
+
+        // Look of each zone type (behavior comes from Physics and the zone's own settings)
+        this.zoneTypes = {
+            water: { color: 'rgba(30, 144, 255, 0.35)' },
+            low_gravity: { color: 'rgba(186, 85, 211, 0.15)' },
+            wind: { color: 'rgba(220, 220, 220, 0.15)' },
+            conveyor: { color: '#555555' },
+            ladder: { color: '#8B5A2B', climbable: true },
+            vine: { color: '#2E8B57', climbable: true }
+        };
+
+        // Default conveyor belt speed (pixels per frame, negative moves left)
+        this.defaultConveyorSpeed = 2;
+
+        // Belt animation offset
+        this.beltOffset = 0;
+    }
+
+    /**
+     * Initialize zones for a level
+     */
+    init(levelData) {
+        this.zones = (levelData.zones || [])
+            .map(zone => this.createZone(zone))
+            .filter(zone => zone !== null);
+        console.log(`Physics zones initialized: ${this.zones.length}`);
+    }
+
+    /**
+     * Build a runtime zone from level data
+     * @returns {Object|null} Zone, or null for an unknown type
+     */
+    createZone(data) {
+        if (!this.zoneTypes[data.type]) {
+            console.warn('Unknown zone type, skipping:', data.type);
+            return null;
+        }
+
+        const physics = window.physics;
+        const zone = {
+            x: data.x,
+            y: data.y,
+            width: data.width,
+            height: data.height,
+            type: data.type
+        };
+
+        switch (zone.type) {
+            case 'low_gravity':
+                zone.gravityMultiplier = data.gravity !== undefined ? data.gravity : physics.lowGravityMultiplier;
+                break;
+
+            case 'wind':
+                // Updrafts are just wind with a negative forceY
+                zone.forceX = this.clampForce(data.forceX || 0);
+                zone.forceY = this.clampForce(data.forceY || 0);
+                break;
+
+            case 'conveyor':
+                zone.speed = data.speed !== undefined ? data.speed : this.defaultConveyorSpeed;
+                break;
+        }
+
+        return zone;
+    }
+
+    /**
+     * Keep wind within Physics.maxWindForce
+     */
+    clampForce(force) {
+        const max = window.physics.maxWindForce;
+        return Math.max(-max, Math.min(max, force));
+    }
+
+    /**
+     * Apply zones to the player and gravity-affected enemies
+     * Runs before they move so the flags are ready for their update
+     */
+    update() {
+        this.beltOffset = (this.beltOffset + 1) % 16;
+
+        if (window.player && window.player.state !== 'dying') {
+            this.applyZones(window.player, true);
+        }
+
+        if (window.enemyManager) {
+            window.enemyManager.enemies.forEach(enemy => {
+                if (enemy.isAlive && enemy.affectedByGravity) {
+                    this.applyZones(enemy, false);
+                }
+            });
+        }
+    }
+
+    /**
+     * Work out which zones an entity is in and push it around
+     * @param {Object} entity - Player or enemy
+     * @param {boolean} isPlayer - Whether this is the player (see applyWind)
+     */
+    applyZones(entity, isPlayer) {
+        entity.inWater = false;
+        entity.waterSurfaceY = null;
+        entity.gravityMultiplier = 1;
+
+        // Level-wide wind from the physics profile
+        const physics = window.physics;
+        if (physics.windX !== 0 || physics.windY !== 0) {
+            this.applyWind(entity, physics.windX, physics.windY, isPlayer);
+        }
+
+        this.zones.forEach(zone => {
+            // Conveyors only move things standing on the belt
+            if (zone.type === 'conveyor') {
+                if (entity.isGrounded && this.isStandingIn(entity, zone)) {
+                    this.pushEntity(entity, zone.speed);
+                }
+                return;
+            }
+
+            if (!window.collisionDetection.checkRectCollision(entity, zone)) return;
+
+            switch (zone.type) {
+                case 'water':
+                    entity.inWater = true;
+                    if (entity.waterSurfaceY === null || zone.y < entity.waterSurfaceY) {
+                        entity.waterSurfaceY = zone.y;
+                    }
+                    entity.speedX *= window.physics.waterDrag;
+                    break;
+
+                case 'low_gravity':
+                    entity.gravityMultiplier = Math.min(entity.gravityMultiplier, zone.gravityMultiplier);
+                    break;
+
+                case 'wind':
+                    this.applyWind(entity, zone.forceX, zone.forceY, isPlayer);
+                    break;
+            }
+        });
+    }
+
+    /**
+     * Push an entity with wind
+     * Enemies steer their own speedX every frame, so they're moved directly instead
+     */
+    applyWind(entity, forceX, forceY, isPlayer) {
+        if (isPlayer) {
+            window.physics.applyEnvironmentalForce(entity, forceX, forceY);
+        } else {
+            window.physics.applyEnvironmentalForce(entity, 0, forceY);
+            this.pushEntity(entity, forceX);
+        }
+    }
+
+    /**
+     * Shift an entity sideways (belts, and wind on enemies), stopping at walls
+     * Their own speed is put back afterwards so this doesn't change how they steer
+     */
+    pushEntity(entity, dx) {
+        if (dx === 0) return;
+
+        const collisionDetection = window.collisionDetection;
+        const speedX = entity.speedX;
+        const speedY = entity.speedY;
+        entity.speedX = dx;
+        entity.speedY = 0;
+        collisionDetection.moveAndCollide(entity, collisionDetection.getNearbyPlatforms(entity));
+        entity.speedX = speedX;
+        entity.speedY = speedY;
+    }
+
+    /**
+     * Check if an entity's feet are on a zone's top surface
+     */
+    isStandingIn(entity, zone) {
+        const feet = entity.y + entity.height;
+        return entity.x + entity.width > zone.x &&
+               entity.x < zone.x + zone.width &&
+               feet >= zone.y - 2 &&
+               feet <= zone.y + zone.height;
+    }
+
+    /**
+     * Find the ladder or vine an entity is in front of
+     * The entity's center has to be over it (no climbing by a fingertip)
+     * @returns {Object|null} Climbable zone
+     */
+    getClimbable(entity) {
+        const centerX = entity.x + entity.width / 2;
+        return this.zones.find(zone =>
+            this.zoneTypes[zone.type].climbable &&
+            centerX >= zone.x && centerX <= zone.x + zone.width &&
+            entity.y < zone.y + zone.height &&
+            entity.y + entity.height > zone.y) || null;
+    }
+
+    /**
+     * Find the ladder whose top is at foot level under a point
+     * Ladder tops can be stood on like a one-way platform (vines can't)
+     * @param {number} range - How far below feetY the top can be
+     * @returns {Object|null} Ladder zone
+     */
+    getLadderTopAt(x, feetY, range = window.collisionDetection.surfaceSnapDistance) {
+        return this.zones.find(zone =>
+            zone.type === 'ladder' &&
+            x >= zone.x && x <= zone.x + zone.width &&
+            zone.y >= feetY - window.collisionDetection.surfaceSnapDistance &&
+            zone.y <= feetY + range) || null;
+    }
+
+    /**
+     * Land an entity on a ladder top it fell onto this tick
+     * @returns {boolean} True if it landed
+     */
+    landOnLadderTop(entity) {
+        if (entity.isGrounded || entity.speedY < 0) return false;
+
+        const feet = entity.y + entity.height;
+        const ladder = this.getLadderTopAt(entity.x + entity.width / 2, feet - entity.speedY, entity.speedY);
+        if (!ladder) return false;
+
+        entity.y = ladder.y - entity.height;
+        entity.setGrounded(true);
+        return true;
+    }
+
+    /**
+     * Draw zones (simple tinted shapes until there's art)
+     */
+    draw(ctx) {
+        const engine = window.gameEngine;
+
+        this.zones.forEach(zone => {
+            if (engine && !engine.isOnScreen(zone)) return;
+
+            ctx.save();
+            ctx.fillStyle = this.zoneTypes[zone.type].color;
+            if (!this.zoneTypes[zone.type].climbable) {
+                ctx.fillRect(zone.x, zone.y, zone.width, zone.height);
+            }
+
+            if (zone.type === 'ladder') {
+                // Two rails with rungs every 16 pixels
+                ctx.fillRect(zone.x + 4, zone.y, 4, zone.height);
+                ctx.fillRect(zone.x + zone.width - 8, zone.y, 4, zone.height);
+                for (let ry = zone.y + 8; ry < zone.y + zone.height; ry += 16) {
+                    ctx.fillRect(zone.x + 4, ry, zone.width - 8, 3);
+                }
+            } else if (zone.type === 'vine') {
+                // Wavy stem with a leaf every so often
+                const centerX = zone.x + zone.width / 2;
+                ctx.strokeStyle = this.zoneTypes.vine.color;
+                ctx.lineWidth = 3;
+                ctx.beginPath();
+                ctx.moveTo(centerX, zone.y);
+                for (let vy = zone.y; vy <= zone.y + zone.height; vy += 8) {
+                    ctx.lineTo(centerX + Math.sin(vy / 12) * 4, vy);
+                }
+                ctx.stroke();
+                for (let ly = zone.y + 12; ly < zone.y + zone.height; ly += 24) {
+                    const side = (ly / 24) % 2 < 1 ? 1 : -1;
+                    ctx.fillRect(centerX + (side > 0 ? 2 : -8), ly, 6, 4);
+                }
+            } else if (zone.type === 'water') {
+                // Surface line
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(zone.x, zone.y);
+                ctx.lineTo(zone.x + zone.width, zone.y);
+                ctx.stroke();
+            } else if (zone.type === 'wind') {
+                // Arrows pointing the way the wind blows
+                const angle = Math.atan2(zone.forceY, zone.forceX);
+                ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+                ctx.lineWidth = 2;
+                for (let ax = zone.x + 32; ax < zone.x + zone.width; ax += 64) {
+                    for (let ay = zone.y + 32; ay < zone.y + zone.height; ay += 64) {
+                        ctx.beginPath();
+                        ctx.moveTo(ax - Math.cos(angle) * 10, ay - Math.sin(angle) * 10);
+                        ctx.lineTo(ax + Math.cos(angle) * 10, ay + Math.sin(angle) * 10);
+                        ctx.lineTo(ax + Math.cos(angle - 2.5) * 6 + Math.cos(angle) * 10,
+                                   ay + Math.sin(angle - 2.5) * 6 + Math.sin(angle) * 10);
+                        ctx.stroke();
+                    }
+                }
+            } else if (zone.type === 'conveyor') {
+                // Stripes that scroll with the belt
+                ctx.fillStyle = '#888888';
+                const offset = zone.speed >= 0 ? this.beltOffset : 16 - this.beltOffset;
+                for (let sx = zone.x - 16 + offset; sx < zone.x + zone.width; sx += 16) {
+                    const left = Math.max(zone.x, sx);
+                    const right = Math.min(zone.x + zone.width, sx + 8);
+                    if (right > left) {
+                        ctx.fillRect(left, zone.y, right - left, Math.min(zone.height, 6));
+                    }
+                }
+            }
+
+            // Debug: Draw zone outline
+            if (engine && engine.debug.enabled) {
+                ctx.strokeStyle = 'cyan';
+                ctx.lineWidth = 1;
+                ctx.strokeRect(zone.x, zone.y, zone.width, zone.height);
+            }
+            ctx.restore();
+        });
+    }
+
+    /**
+     * Clear all zones (for level transitions)
+     */
+    clear() {
+        this.zones = [];
+    }
+}
+
+// Export the ZoneManager class
+window.ZoneManager = ZoneManager;